@@ -53,6 +53,22 @@ esac
 CUSTOM_FRAMEWORK_URL="${CUSTOM_FRAMEWORK_URL:-${CustomFrameworkURL:-}}"
 export LATEST_LOG="${LATEST_LOG:-/home/container/latest.log}"
 
+# Wrapper settings file: JSON (YAML if the yaml package is installed) keyed
+# like the env vars below. Env wins over the file, so wrapper-only knobs are
+# passed through empty here and take their defaults from wrapper.js;
+# ".config" in the console prints the effective values
+export WRAPPER_CONFIG="${WRAPPER_CONFIG:-}"
+
+# latest.log rotation (wrapper): LOG_ROTATE_MB=0 and LOG_ROTATE_DAILY=0 keep the
+# old behaviour (previous session renamed to latest.log.prev on boot)
+export LOG_ROTATE_MB="${LOG_ROTATE_MB:-}"
+export LOG_ROTATE_DAILY="${LOG_ROTATE_DAILY:-}"
+export LOG_RETAIN_COUNT="${LOG_RETAIN_COUNT:-}"
+export LOG_RETAIN_DAYS="${LOG_RETAIN_DAYS:-}"
+
+# Structured NDJSON log (wrapper): empty = off, e.g. /home/container/latest.ndjson
+export LOG_JSON="${LOG_JSON:-}"
+
 # RCON defaults (used by wrapper & optional shutdown helpers)
 export RCON_HOST="${RCON_HOST:-127.0.0.1}"
 export RCON_PORT="${RCON_PORT:-28016}"
@@ -60,6 +76,9 @@ export RCON_PASS="${RCON_PASS:-}"
 
 # RCON mode: legacy (Source RCON) or web (WebRCON / WebSocket)
 export RCON_MODE="${RCON_MODE:-legacy}"
+# WebRCON broadcast echo: dedup (skip lines stdout already showed) |
+# replies (only command replies, plus chat stdout didn't carry) | all
+export WEBRCON_ECHO="${WEBRCON_ECHO:-}"
 
 # ---------- console mode ----------
 # Options: stdin | rcon | auto
@@ -70,17 +89,117 @@ export CONSOLE_MODE="${CONSOLE_MODE:-auto}"
 # 0 = disabled; >0 = seconds between telemetry samples
 export TELEMETRY_INTERVAL_SEC="${TELEMETRY_INTERVAL_SEC:-0}"
 
-# Shutdown knobs
-SHUTDOWN_TIMEOUT_SEC="${SHUTDOWN_TIMEOUT_SEC:-30}"
-
-# Disk & limits awareness
-DISK_MIN_FREE_MB="${DISK_MIN_FREE_MB:-1024}"
+# ---------- scheduled restarts (wrapper) ----------
+# RESTART_TIMES: daily HH:MM list, e.g. "04:00,16:00" (empty = off)
+# RESTART_INTERVAL_MIN: restart every N minutes of uptime (0 = off)
+# RESTART_WARN_MIN: countdown broadcasts, minutes before restart
+export RESTART_TIMES="${RESTART_TIMES:-}"
+export RESTART_INTERVAL_MIN="${RESTART_INTERVAL_MIN:-}"
+export RESTART_TZ="${RESTART_TZ:-}"
+export RESTART_WARN_MIN="${RESTART_WARN_MIN:-}"
+
+# ---------- crash supervisor (wrapper) ----------
+# CRASH_RESTART=1 respawns RustDedicated on unexpected exit instead of stopping
+# the container; backoff doubles from CRASH_BACKOFF_SEC up to CRASH_BACKOFF_MAX_SEC
+export CRASH_RESTART="${CRASH_RESTART:-}"
+export CRASH_BACKOFF_SEC="${CRASH_BACKOFF_SEC:-}"
+export CRASH_BACKOFF_MAX_SEC="${CRASH_BACKOFF_MAX_SEC:-}"
+export CRASH_MAX="${CRASH_MAX:-}"
+export CRASH_WINDOW_SEC="${CRASH_WINDOW_SEC:-}"
+
+# ---------- control API (wrapper) ----------
+# Off unless API_PORT (TCP on API_BIND) or API_SOCKET (Unix socket) is set;
+# every request needs "Authorization: Bearer ${API_TOKEN}"
+export API_PORT="${API_PORT:-}"
+export API_BIND="${API_BIND:-}"
+export API_SOCKET="${API_SOCKET:-}"
+export API_TOKEN="${API_TOKEN:-}"
+
+# ---------- Prometheus metrics (wrapper) ----------
+# 0 = disabled; otherwise serves /metrics on METRICS_BIND:METRICS_PORT.
+# METRICS_BIND defaults to 127.0.0.1; set METRICS_BIND=0.0.0.0 (and publish
+# the port) to let a Prometheus outside the container scrape it
+export METRICS_PORT="${METRICS_PORT:-}"
+export METRICS_BIND="${METRICS_BIND:-}"
+
+# "! <cmd>" shell passthrough (wrapper): unrestricted | allowlist | disabled.
+# allowlist runs only commands starting with a SHELL_ALLOW prefix, e.g. "ls,df -h,du"
+export SHELL_POLICY="${SHELL_POLICY:-}"
+export SHELL_ALLOW="${SHELL_ALLOW:-}"
+export SHELL_TIMEOUT_SEC="${SHELL_TIMEOUT_SEC:-}"
+export SHELL_MAX_JOBS="${SHELL_MAX_JOBS:-}"
+
+# Console highlight/suppress rules (wrapper): JSON file of regex rules tried
+# before the built-in defaults; reload at runtime with ".rules reload"
+export LOG_RULES_FILE="${LOG_RULES_FILE:-}"
+
+# Audit log of panel/API input (wrapper), NDJSON; "off" disables it
+export AUDIT_LOG="${AUDIT_LOG:-}"
+
+# Webhooks (wrapper): comma-separated URLs, Discord webhooks detected by host
+# (or force with a discord:/json: prefix); WEBHOOK_EVENTS=all or a subset of
+# starting,ready,crash,hang,rcon_lost,rcon_restored,oom,low_disk
+export WEBHOOK_URLS="${WEBHOOK_URLS:-}"
+export WEBHOOK_EVENTS="${WEBHOOK_EVENTS:-}"
+
+# Hang watchdog (wrapper): no output for HANG_SILENCE_SEC + RCON probes timing
+# out (or stuck in D state) saves gdb stacks to STACK_DUMP_DIR; HANG_RESTART=1
+# then restarts after HANG_RESTART_GRACE_SEC. HANG_SILENCE_SEC=0 disables it
+export HANG_SILENCE_SEC="${HANG_SILENCE_SEC:-}"
+export HANG_RESTART="${HANG_RESTART:-}"
+export STACK_DUMP_DIR="${STACK_DUMP_DIR:-}"
+
+# Shutdown knobs (wrapper): on SIGTERM/SIGINT it broadcasts SHUTDOWN_WARN_CMD
+# (empty = skip), runs server.save, waits for the save, sends quit and then
+# escalates to TERM/KILL; the whole sequence, KILL included, fits inside
+# SHUTDOWN_TIMEOUT_SEC so set it below the container stop timeout
+export SHUTDOWN_TIMEOUT_SEC="${SHUTDOWN_TIMEOUT_SEC:-}"
+export SHUTDOWN_WARN_CMD="${SHUTDOWN_WARN_CMD:-}"
+
+# Wipes (wrapper): ".wipe map|full [--at <time>]" or a calendar, e.g.
+# WIPE_SCHEDULE="full first thu 19:00, map every thu 19:00" (WIPE_TZ, default UTC).
+# A backup is written to BACKUP_DIR before files are deleted
+export WIPE_SCHEDULE="${WIPE_SCHEDULE:-}"
+export WIPE_TZ="${WIPE_TZ:-}"
+export WIPE_WARN_MIN="${WIPE_WARN_MIN:-}"
+
+# Backups (wrapper): ".backup now|list|restore <id>" plus BACKUP_TIMES="04:00"
+# (BACKUP_TZ) and/or BACKUP_INTERVAL_MIN. The server is saved first; archives
+# of server/<identity> and the oxide/carbon data + config folders are kept
+# BACKUP_KEEP per kind, for at most BACKUP_KEEP_DAYS (0 = no age limit)
+export BACKUP_DIR="${BACKUP_DIR:-}"
+export BACKUP_TIMES="${BACKUP_TIMES:-}"
+export BACKUP_INTERVAL_MIN="${BACKUP_INTERVAL_MIN:-}"
+export BACKUP_TZ="${BACKUP_TZ:-}"
+export BACKUP_KEEP="${BACKUP_KEEP:-}"
+export BACKUP_KEEP_DAYS="${BACKUP_KEEP_DAYS:-}"
+
+# Player roster (wrapper): ".players" lists who is online (from join/leave lines,
+# checked against RCON playerlist every PLAYER_SYNC_SEC) and ".players seen <x>"
+# answers from PLAYER_HISTORY_FILE (default next to LATEST_LOG; "off" = none)
+export PLAYER_SYNC_SEC="${PLAYER_SYNC_SEC:-}"
+export PLAYER_HISTORY_FILE="${PLAYER_HISTORY_FILE:-}"
+
+# Oxide/Carbon plugin management (wrapper): ".plugins" works on PLUGINS_DIR
+# (empty = oxide/plugins or carbon/plugins, picked by FRAMEWORK) and waits up to
+# PLUGIN_RESULT_SEC for the load result / compile errors in the log
+export FRAMEWORK
+export PLUGINS_DIR="${PLUGINS_DIR:-}"
+export PLUGIN_RESULT_SEC="${PLUGIN_RESULT_SEC:-}"
+
+# Wrapper plugins: CommonJS modules in this dir (e.g. /home/container/wrapper-plugins)
+# hooking console lines, dot-commands, RCON replies and server events; ".wplugins"
+# lists them and ".wplugins reload" re-reads them. Empty = no plugins
+export WRAPPER_PLUGINS_DIR="${WRAPPER_PLUGINS_DIR:-}"
+
+# Disk & limits awareness (DISK_MIN_FREE_MB is also the wrapper's low-disk alert)
+export DISK_MIN_FREE_MB="${DISK_MIN_FREE_MB:-1024}"
 DISK_ENFORCE="${DISK_ENFORCE:-1}"
 HEAP_TARGET_MB="${HEAP_TARGET_MB:-}"
 
-# OOM detector (notify only)
-OOM_WATCH="${OOM_WATCH:-1}"
-OOM_STATE_FILE="/home/container/.oom_seen"
+# OOM detector (notify only; the wrapper keeps watching while the server runs)
+export OOM_WATCH="${OOM_WATCH:-1}"
+export OOM_STATE_FILE="/home/container/.oom_seen"
 
 # Preflight port checks
 PREFLIGHT_PORTCHECK="${PREFLIGHT_PORTCHECK:-1}"
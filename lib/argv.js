@@ -0,0 +1,121 @@
+// RustDedicated argv: decoding from the wrapper's own arguments/env and
+// repairing values the panel split on spaces.
+const fs = require("fs");
+
+const looksLikeFlag = (s) =>
+  typeof s === "string" && /^[-+][A-Za-z0-9_.-]+$/.test(s);
+
+const SWITCH_ONLY = new Set(["-batchmode", "-nographics", "-nolog", "-no-gui"]);
+
+// Re-joins "+server.hostname My Server" style values: every non-flag token
+// after a flag (except switch-only flags) belongs to that flag's value.
+function repairSplitArgs(params) {
+  const out = [];
+  for (let i = 0; i < params.length; ) {
+    const tok = String(params[i]);
+    if (looksLikeFlag(tok)) {
+      out.push(tok);
+      i++;
+      if (SWITCH_ONLY.has(tok)) continue;
+
+      if (i < params.length) {
+        let val = String(params[i++]);
+        while (i < params.length && !looksLikeFlag(params[i])) {
+          val += " " + String(params[i++]);
+        }
+        out.push(val);
+      }
+    } else {
+      out.push(tok);
+      i++;
+    }
+  }
+  return out;
+}
+
+function jsonArgv(text) {
+  const arr = JSON.parse(text);
+  if (!Array.isArray(arr) || !arr.length) throw new Error("not an array");
+  return arr.map(String);
+}
+
+// Full game argv (binary first) from, in order: --argv-json <json>,
+// --argv-b64 <base64 json>, --argv-file <NUL or newline separated file>,
+// env.RUST_ARGS_JSON, or everything after legacy --argv. Throws an Error
+// whose message is meant for the console.
+function decodeArgv(args, env = process.env) {
+  let i = args.indexOf("--argv-json");
+  if (i !== -1 && args[i + 1]) {
+    try {
+      return jsonArgv(args[i + 1]);
+    } catch {
+      throw new Error("--argv-json must be a JSON array of strings.");
+    }
+  }
+
+  i = args.indexOf("--argv-b64");
+  if (i !== -1 && args[i + 1]) {
+    try {
+      return jsonArgv(Buffer.from(args[i + 1], "base64").toString("utf8"));
+    } catch {
+      throw new Error("--argv-b64 must be base64 of a JSON array of strings.");
+    }
+  }
+
+  i = args.indexOf("--argv-file");
+  if (i !== -1 && args[i + 1]) {
+    try {
+      const text = fs.readFileSync(args[i + 1]).toString("utf8");
+      let parts = text.split("\0").filter(Boolean);
+      if (parts.length <= 1) parts = text.split(/\r?\n/).filter(Boolean);
+      if (!parts.length) throw new Error("empty argv file");
+      return parts.map(String);
+    } catch (e) {
+      throw new Error(`--argv-file must be readable: ${e.message || e}`);
+    }
+  }
+
+  if (env.RUST_ARGS_JSON) {
+    try {
+      return jsonArgv(env.RUST_ARGS_JSON);
+    } catch {
+      throw new Error("RUST_ARGS_JSON must be a JSON array of strings.");
+    }
+  }
+
+  const flagIndex = args.indexOf("--argv");
+  if (flagIndex === -1) {
+    throw new Error(
+      "Missing argv source. Use --argv-file/--argv-json/--argv-b64 or legacy --argv.",
+    );
+  }
+  const legacy = args.slice(flagIndex + 1);
+  if (!legacy.length) {
+    throw new Error("No arguments provided for RustDedicated.");
+  }
+  return legacy.map(String);
+}
+
+// Value of `-flag value` / `+flag value` in already repaired params, or null
+function argValue(params, flag) {
+  const i = params.indexOf(flag);
+  return i !== -1 && i + 1 < params.length ? params[i + 1] : null;
+}
+
+// Display form of a command line: arguments with odd characters quoted
+function formatArgv(params) {
+  return params
+    .map((a) =>
+      /[^A-Za-z0-9_/.:-]/.test(a) ? `"${a.replace(/"/g, '\\"')}"` : a,
+    )
+    .join(" ");
+}
+
+module.exports = {
+  looksLikeFlag,
+  SWITCH_ONLY,
+  repairSplitArgs,
+  decodeArgv,
+  argValue,
+  formatArgv,
+};
@@ -0,0 +1,5317 @@
+// ============================================================================
+// Rust wrapper — PTY-aware, argv-safe, logfile mirroring, panel->RCON/STDIN shim
+// This is the CLI that wrapper.js starts; requiring it starts everything.
+// - If starting in CONSOLE_MODE=stdin: run Rust directly so STDIN works
+// - If starting in rcon/auto: prefers launching via `script -qefc` for PTY
+// - Uses `stdbuf -oL -eL` (if present) for line-buffered output
+// - Pretty console formatting; mirrors raw to latest.log; tails -logfile if present
+// - LOG_JSON=<file> adds an NDJSON sink: ts, source, stream, tag, message
+// - latest.log rotation by size (LOG_ROTATE_MB) and/or midnight
+//   (LOG_ROTATE_DAILY) into gzip'd archives with count/age retention
+// - Panel input:
+//     * "! <cmd>"      => run shell in container (SHELL_POLICY, SHELL_TIMEOUT_SEC)
+//     * ".jobs" / ".kill <id>" => list / stop running shell commands
+//     * "stdin: <x>"   => send to Rust STDIN (console)
+//     * "console: <x>" => alias of stdin
+//     * "rcon: <x>"    => send via RCON (legacy or Web, based on RCON_MODE)
+//     * default route  => CONSOLE_MODE=stdin|rcon|auto (auto = rcon if RCON_PASS set)
+//     * ".stack [n] [s]" => gdb backtrace (n samples, s apart) saved to
+//                           STACK_DUMP_DIR; ".stack core" => gcore core file
+//     * ".dumps [prune [keep]]" => list / prune stored dumps (keep per kind)
+//     * ".telemetry"   => RustDedicated CPU/RSS/threads/FDs/IO (+ wrapper's own)
+//     * ".heap"        => print detailed Node heap usage
+//     * ".history [n]" => last n entries of the input audit log (AUDIT_LOG)
+//     * ".rules [reload]" => console highlight rules; reload LOG_RULES_FILE
+//     * ".config [filter|reload]" => effective settings (secrets masked);
+//                           reload re-reads WRAPPER_CONFIG
+//     * ".plugins [list] | reload [name] | unload|enable|disable <name>"
+//                        => Oxide/Carbon plugin files + framework commands,
+//                           reporting the load result / compile errors
+//     * ".wplugins [reload]" => wrapper plugins: list / reload
+// - `.mode stdin|rcon|auto` switches default at runtime
+// - `.restart [now|in <min>|cancel|status]`; RESTART_TIMES / RESTART_INTERVAL_MIN
+//   schedule restarts with countdown warnings, then save + quit + relaunch
+// - `.wipe map|full [--at <time>]|cancel|status`; WIPE_SCHEDULE (e.g. "full
+//   first thu 19:00") wipes on a calendar: warn, stop, back up
+//   server/<identity> to BACKUP_DIR, delete map (+ blueprint) files, relaunch
+// - `.backup [list]|now|restore <id> [--restart]|status`; BACKUP_TIMES /
+//   BACKUP_INTERVAL_MIN schedule them: server.save, wait for "Saved", tar.gz
+//   server/<identity> + oxide|carbon data/config into BACKUP_DIR, keep
+//   BACKUP_KEEP per kind / BACKUP_KEEP_DAYS. Restores need the game stopped
+// - `.players [list]|seen <steamid|name>|sync`: online roster from join /
+//   disconnect lines, reconciled with RCON playerlist (PLAYER_SYNC_SEC);
+//   finished sessions go to PLAYER_HISTORY_FILE
+// - Crash supervisor: unexpected exits respawn the game with backoff
+//   (CRASH_RESTART / CRASH_BACKOFF_* / CRASH_MAX per CRASH_WINDOW_SEC)
+// - SIGTERM/SIGINT: optional warning, server.save, wait for the save, quit,
+//   TERM, KILL, all within SHUTDOWN_TIMEOUT_SEC (a restart or wipe already
+//   stopping the server is hurried to that deadline). A second signal kills now
+// - Hang watchdog: silence + timed-out RCON probes (or D state) saves gdb
+//   stacks to STACK_DUMP_DIR and can restart the server (HANG_RESTART=1)
+// - RCON_MODE=legacy|web selects legacy RCON or WebRCON; WebRCON broadcasts
+//   already seen on stdout are dropped (WEBRCON_ECHO=dedup|replies|all)
+// - Game output is parsed into typed events (joins, leaves, chat, kills,
+//   saves, startup, plugin loads/errors) on an internal bus;
+//   EVENT_PATTERNS_FILE overrides patterns
+// - Webhooks (WEBHOOK_URLS, Discord or JSON) on start, ready, crash, hang,
+//   RCON lost/restored, OOM kills and low disk; queued per URL with retries
+// - Optional HTTP control API (API_PORT or API_SOCKET + API_TOKEN):
+//   /status, /command and an SSE /logs stream
+// - Optional Prometheus endpoint on METRICS_PORT (/metrics), loopback only
+//   unless METRICS_BIND says otherwise (e.g. 0.0.0.0 for a scraper elsewhere)
+// - Settings come from env over an optional WRAPPER_CONFIG file (JSON/YAML),
+//   validated at startup; ".config reload" applies the non-structural ones
+// - Wrapper plugins: JS modules in WRAPPER_PLUGINS_DIR hooking mirrored lines
+//   (rewrite/suppress), dot-commands, RCON replies and bus events, each behind
+//   its own error boundary
+// - Reusable parts live next to this file (argv, RCON clients, log mirror,
+//   input router, telemetry); wrapper.js exports them when required
+// ============================================================================
+
+const { spawn, execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const stream = require("stream");
+const http = require("http");
+const https = require("https");
+const EventEmitter = require("events");
+const readline = require("readline");
+const crypto = require("crypto");
+
+const {
+  looksLikeFlag,
+  repairSplitArgs,
+  decodeArgv,
+  argValue,
+  formatArgv,
+} = require("./argv");
+const { createLegacyRcon } = require("./rcon-legacy");
+const { cleanWebText, createWebRcon } = require("./webrcon");
+const { createLogMirror } = require("./log-mirror");
+const { createInputRouter } = require("./input-router");
+const { createPluginHost } = require("./plugin-host");
+const {
+  readProcStats,
+  findProcessByName,
+  findGamePid,
+  createProcessSampler,
+  createCpuMeter,
+} = require("./telemetry");
+
+// ---------- config ----------
+// Every setting below is an env var. WRAPPER_CONFIG may point at a JSON file
+// (or YAML, when the `yaml` / `js-yaml` package is installed) with the same
+// keys; the environment wins over the file and the file over the defaults.
+// Values are checked against CONFIG_SCHEMA: bad ones are reported and fall
+// back to the default. Keys in CONFIG_SETTERS (further down) also take effect
+// on ".config reload"; the rest need a restart.
+const CONFIG_FILE = process.env.WRAPPER_CONFIG || "";
+
+// type: str | int | num | bool | enum (values) | list (comma-separated);
+// min/max bound numbers, secret masks the value in ".config", invalid
+// overrides def as the fallback for a bad value
+const CONFIG_SCHEMA = {
+  SERVER_ROOT: { type: "str", def: "/home/container" },
+  LATEST_LOG: { type: "str", def: "/home/container/latest.log" },
+  RCON_HOST: { type: "str", def: "127.0.0.1" },
+  RCON_PORT: { type: "int", def: 28016, min: 1, max: 65535 },
+  RCON_PASS: { type: "str", def: "", secret: true },
+  RCON_MODE: { type: "enum", def: "legacy", values: ["legacy", "web"] },
+  RCON_TIMEOUT_MS: { type: "int", def: 10000, min: 100 },
+  RCON_RECONNECT_SEC: { type: "int", def: 15, min: 0 },
+  WEBRCON_ECHO: {
+    type: "enum",
+    def: "dedup",
+    values: ["dedup", "replies", "all"],
+  },
+  WEBRCON_DEDUP_MS: { type: "int", def: 2000, min: 0 },
+  CONSOLE_MODE: {
+    type: "enum",
+    def: "auto",
+    values: ["stdin", "rcon", "auto"],
+  },
+  TELEMETRY_INTERVAL_SEC: { type: "num", def: 60, min: 0 },
+  TELEMETRY_INTERVAL_MS: { type: "int", def: null, min: 0 }, // older knob
+  RESTART_TIMES: { type: "str", def: "" },
+  RESTART_INTERVAL_MIN: { type: "num", def: 0, min: 0 },
+  RESTART_TZ: { type: "str", def: process.env.TZ || "UTC" },
+  RESTART_WARN_MIN: { type: "str", def: "15,5,1" },
+  RESTART_WARN_CMD: { type: "str", def: "say Server restart in {time}" },
+  RESTART_SAVE_WAIT_SEC: { type: "int", def: 10, min: 0 },
+  RESTART_QUIT_TIMEOUT_SEC: { type: "int", def: 120, min: 0 },
+  SHUTDOWN_TIMEOUT_SEC: { type: "int", def: 30, min: 0 },
+  SHUTDOWN_KILL_SEC: { type: "int", def: 10, min: 0 },
+  SHUTDOWN_WARN_CMD: { type: "str", def: "" },
+  SHUTDOWN_WARN_SEC: { type: "int", def: 5, min: 0 },
+  HANG_SILENCE_SEC: { type: "int", def: 120, min: 0 },
+  HANG_PROBES: { type: "int", def: 2, min: 1 },
+  HANG_CHECK_SEC: { type: "int", def: 15, min: 1 },
+  HANG_PROBE_CMD: { type: "str", def: "serverinfo" },
+  HANG_RESTART: { type: "bool", def: false },
+  HANG_RESTART_GRACE_SEC: { type: "int", def: 60, min: 0 },
+  STACK_DUMP_DIR: { type: "str", def: "/home/container/dumps" },
+  STACK_DUMP_KEEP: { type: "int", def: 20, min: 0 },
+  CRASH_RESTART: { type: "bool", def: true },
+  CRASH_BACKOFF_SEC: { type: "int", def: 5, min: 0 },
+  CRASH_BACKOFF_MAX_SEC: { type: "int", def: 300, min: 0 },
+  CRASH_MAX: { type: "int", def: 5, min: 0 },
+  CRASH_WINDOW_SEC: { type: "int", def: 900, min: 1 },
+  API_PORT: { type: "int", def: 0, min: 0, max: 65535 },
+  API_BIND: { type: "str", def: "127.0.0.1" },
+  API_SOCKET: { type: "str", def: "" },
+  API_TOKEN: { type: "str", def: "", secret: true },
+  API_LOG_LINES: { type: "int", def: 500, min: 1 },
+  SHELL_POLICY: {
+    type: "enum",
+    def: "unrestricted",
+    values: ["unrestricted", "allowlist", "disabled"],
+    invalid: "disabled",
+  },
+  SHELL_ALLOW: { type: "list", def: [] },
+  SHELL_TIMEOUT_SEC: { type: "int", def: 300, min: 0 },
+  SHELL_MAX_JOBS: { type: "int", def: 3, min: 1 },
+  AUDIT_LOG: { type: "str", def: "" },
+  METRICS_PORT: { type: "int", def: 0, min: 0, max: 65535 },
+  METRICS_BIND: { type: "str", def: "127.0.0.1" },
+  LOG_ROTATE_MB: { type: "num", def: 0, min: 0 },
+  LOG_ROTATE_DAILY: { type: "bool", def: false },
+  LOG_ROTATE_TZ: { type: "str", def: process.env.TZ || "UTC" },
+  LOG_ARCHIVE_DIR: { type: "str", def: "" },
+  LOG_COMPRESS: { type: "bool", def: true },
+  LOG_RETAIN_COUNT: { type: "int", def: 14, min: 0 },
+  LOG_RETAIN_DAYS: { type: "int", def: 0, min: 0 },
+  LOG_KEEP_PREV: { type: "bool", def: true },
+  LOG_JSON: { type: "str", def: "" },
+  LOG_JSON_SOURCES: {
+    type: "list",
+    def: ["game", "unity", "rcon", "shell", "wrapper"],
+  },
+  LOG_RULES_FILE: { type: "str", def: "" },
+  EVENT_PATTERNS_FILE: { type: "str", def: "" },
+  EVENT_DEBUG: { type: "bool", def: false },
+  WEBHOOK_URLS: { type: "str", def: "", secret: true },
+  WEBHOOK_EVENTS: { type: "str", def: "all" },
+  WEBHOOK_NAME: { type: "str", def: "Rust server" },
+  WEBHOOK_RETRIES: { type: "int", def: 5, min: 0 },
+  WEBHOOK_TIMEOUT_MS: { type: "int", def: 10000, min: 100 },
+  WEBHOOK_QUEUE_MAX: { type: "int", def: 100, min: 1 },
+  RESOURCE_CHECK_SEC: { type: "int", def: 60, min: 0 },
+  OOM_WATCH: { type: "bool", def: true },
+  OOM_STATE_FILE: { type: "str", def: "" },
+  DISK_MIN_FREE_MB: { type: "int", def: 0, min: 0 },
+  DISK_CHECK_PATH: { type: "str", def: "/home/container" },
+  WIPE_SCHEDULE: { type: "str", def: "" },
+  WIPE_TZ: { type: "str", def: "UTC" },
+  WIPE_WARN_MIN: { type: "str", def: "60,30,15,5,1" },
+  WIPE_WARN_CMD: { type: "str", def: "say Server {kind} wipe in {time}" },
+  BACKUP_DIR: { type: "str", def: "/home/container/backups" },
+  BACKUP_TIMES: { type: "str", def: "" },
+  BACKUP_INTERVAL_MIN: { type: "num", def: 0, min: 0 },
+  BACKUP_TZ: { type: "str", def: process.env.TZ || "UTC" },
+  BACKUP_KEEP: { type: "int", def: 10, min: 0 },
+  BACKUP_KEEP_DAYS: { type: "int", def: 0, min: 0 },
+  BACKUP_SAVE_WAIT_SEC: { type: "int", def: 60, min: 1 },
+  PLAYER_SYNC_SEC: { type: "int", def: 300, min: 0 },
+  PLAYER_HISTORY_FILE: { type: "str", def: "" },
+  PLUGINS_DIR: { type: "str", def: "" },
+  PLUGIN_RESULT_SEC: { type: "int", def: 20, min: 1 },
+  WRAPPER_PLUGINS_DIR: { type: "str", def: "" },
+  WRAPPER_PLUGIN_ERRORS: { type: "int", def: 5, min: 0 },
+};
+
+// Returns { value } or { error } for one raw env/file value
+function coerceSetting(spec, raw) {
+  if (spec.type === "list") {
+    const items = Array.isArray(raw) ? raw : String(raw).split(",");
+    return { value: items.map((s) => String(s).trim()).filter(Boolean) };
+  }
+  if (raw !== null && typeof raw === "object") {
+    return { error: `expected a ${spec.type}, got ${JSON.stringify(raw)}` };
+  }
+  const s = String(raw).trim();
+  switch (spec.type) {
+    case "int":
+    case "num": {
+      const ok = spec.type === "int" ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+      const what = spec.type === "int" ? "whole number" : "number";
+      if (!ok.test(s)) return { error: `"${s}" is not a ${what}` };
+      const n = Number(s);
+      if (spec.min !== undefined && n < spec.min) {
+        return { error: `${n} is below the minimum ${spec.min}` };
+      }
+      if (spec.max !== undefined && n > spec.max) {
+        return { error: `${n} is above the maximum ${spec.max}` };
+      }
+      return { value: n };
+    }
+    case "bool":
+      if (/^(1|true|yes|on)$/i.test(s)) return { value: true };
+      if (/^(0|false|no|off)$/i.test(s)) return { value: false };
+      return { error: `"${s}" is not a boolean (1/0, true/false)` };
+    case "enum":
+      if (spec.values.includes(s.toLowerCase())) {
+        return { value: s.toLowerCase() };
+      }
+      return { error: `"${s}" is not one of ${spec.values.join("|")}` };
+    default:
+      return { value: String(raw) };
+  }
+}
+
+function parseConfigFile(file) {
+  const text = fs.readFileSync(file, "utf8");
+  if (!/\.ya?ml$/i.test(file)) return JSON.parse(text);
+  let yaml = null;
+  try {
+    yaml = require("yaml");
+  } catch {
+    try {
+      yaml = require("js-yaml");
+    } catch {
+      throw new Error(
+        "YAML needs the `yaml` or `js-yaml` package; use JSON instead",
+      );
+    }
+  }
+  return yaml.parse ? yaml.parse(text) : yaml.load(text);
+}
+
+// -> { values, sources: key -> env|file|default, errors: [string] }
+function loadConfig() {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  let fileVals = {};
+  if (CONFIG_FILE) {
+    try {
+      const parsed = parseConfigFile(CONFIG_FILE) ?? {};
+      if (typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error("expected an object of KEY: value");
+      }
+      fileVals = parsed;
+    } catch (e) {
+      errors.push(`${CONFIG_FILE}: ${e.message}`);
+    }
+    for (const key of Object.keys(fileVals)) {
+      if (!(key in CONFIG_SCHEMA)) {
+        errors.push(`${CONFIG_FILE}: unknown setting ${key}`);
+      }
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const env = process.env[key];
+    let raw;
+    if (env !== undefined && env !== "") {
+      raw = env;
+      sources[key] = "env";
+    } else if (fileVals[key] !== undefined && fileVals[key] !== null) {
+      raw = fileVals[key];
+      sources[key] = "file";
+    } else {
+      values[key] = spec.def;
+      sources[key] = "default";
+      continue;
+    }
+    const r = coerceSetting(spec, raw);
+    if (r.error) {
+      const fallback = spec.invalid ?? spec.def;
+      errors.push(
+        `${key} (${sources[key]}): ${r.error}; using ${JSON.stringify(fallback)}`,
+      );
+      values[key] = fallback;
+      sources[key] = "default";
+    } else {
+      values[key] = r.value;
+    }
+  }
+
+  // TELEMETRY_INTERVAL_MS still counts when TELEMETRY_INTERVAL_SEC is unset
+  if (
+    sources.TELEMETRY_INTERVAL_SEC === "default" &&
+    values.TELEMETRY_INTERVAL_MS !== null
+  ) {
+    values.TELEMETRY_INTERVAL_SEC = values.TELEMETRY_INTERVAL_MS / 1000;
+    sources.TELEMETRY_INTERVAL_SEC = sources.TELEMETRY_INTERVAL_MS;
+  }
+  return { values, sources, errors };
+}
+
+let config = loadConfig();
+const cfg = config.values;
+
+// RustDedicated's working directory (server/<identity>, oxide/, carbon/)
+const SERVER_ROOT = cfg.SERVER_ROOT;
+const LATEST_LOG = cfg.LATEST_LOG;
+const RCON_HOST = cfg.RCON_HOST;
+const RCON_PORT = cfg.RCON_PORT;
+const RCON_PASS = cfg.RCON_PASS;
+const RCON_MODE = cfg.RCON_MODE; // legacy | web
+let RCON_TIMEOUT_MS = cfg.RCON_TIMEOUT_MS;
+// WebRCON broadcasts: dedup (drop what stdout already showed) | replies
+// (only command replies + chat/messages stdout lacks) | all
+let WEBRCON_ECHO = cfg.WEBRCON_ECHO;
+let WEBRCON_DEDUP_MS = cfg.WEBRCON_DEDUP_MS;
+
+const initialMode = cfg.CONSOLE_MODE;
+const COLOR_OK = process.stdout.isTTY && !("NO_COLOR" in process.env);
+
+// Telemetry every N ms (0 = disabled)
+let TELEMETRY_INTERVAL_MS = cfg.TELEMETRY_INTERVAL_SEC * 1000;
+
+// Scheduled restarts: daily HH:MM list and/or every N minutes of uptime
+const RESTART_TIMES = cfg.RESTART_TIMES;
+const RESTART_INTERVAL_MIN = cfg.RESTART_INTERVAL_MIN;
+const RESTART_TZ = cfg.RESTART_TZ;
+const RESTART_WARN_MIN = cfg.RESTART_WARN_MIN;
+let RESTART_WARN_CMD = cfg.RESTART_WARN_CMD;
+let RESTART_SAVE_WAIT_SEC = cfg.RESTART_SAVE_WAIT_SEC;
+let RESTART_QUIT_TIMEOUT_SEC = cfg.RESTART_QUIT_TIMEOUT_SEC;
+
+// Graceful stop on SIGTERM/SIGINT: [warn] -> server.save -> wait for the save
+// -> quit -> TERM -> KILL, the whole sequence inside SHUTDOWN_TIMEOUT_SEC; TERM
+// leaves KILL up to SHUTDOWN_KILL_SEC (at most half the budget) before it
+let SHUTDOWN_TIMEOUT_SEC = cfg.SHUTDOWN_TIMEOUT_SEC;
+let SHUTDOWN_KILL_SEC = cfg.SHUTDOWN_KILL_SEC;
+let SHUTDOWN_WARN_CMD = cfg.SHUTDOWN_WARN_CMD;
+let SHUTDOWN_WARN_SEC = cfg.SHUTDOWN_WARN_SEC;
+
+// Hang watchdog (HANG_SILENCE_SEC=0 = off): once the server is up, that long
+// without game output plus HANG_PROBES timed-out RCON probes, or that long in
+// D state, counts as hung -> gdb stacks into STACK_DUMP_DIR, optional restart
+let HANG_SILENCE_SEC = cfg.HANG_SILENCE_SEC;
+let HANG_PROBES = cfg.HANG_PROBES;
+const HANG_CHECK_SEC = cfg.HANG_CHECK_SEC;
+let HANG_PROBE_CMD = cfg.HANG_PROBE_CMD;
+let HANG_RESTART = cfg.HANG_RESTART;
+let HANG_RESTART_GRACE_SEC = cfg.HANG_RESTART_GRACE_SEC;
+const STACK_DUMP_DIR = cfg.STACK_DUMP_DIR;
+let STACK_DUMP_KEEP = cfg.STACK_DUMP_KEEP; // 0 = keep every dump
+
+// Crash supervisor: respawn on unexpected exit with exponential backoff,
+// giving up after CRASH_MAX crashes inside CRASH_WINDOW_SEC
+let CRASH_RESTART = cfg.CRASH_RESTART;
+let CRASH_BACKOFF_SEC = cfg.CRASH_BACKOFF_SEC;
+let CRASH_BACKOFF_MAX_SEC = cfg.CRASH_BACKOFF_MAX_SEC;
+let CRASH_MAX = cfg.CRASH_MAX;
+let CRASH_WINDOW_SEC = cfg.CRASH_WINDOW_SEC;
+
+// Local control API (off unless API_PORT or API_SOCKET is set; needs API_TOKEN)
+const API_PORT = cfg.API_PORT;
+const API_BIND = cfg.API_BIND;
+const API_SOCKET = cfg.API_SOCKET;
+const API_TOKEN = cfg.API_TOKEN;
+const API_LOG_LINES = cfg.API_LOG_LINES;
+
+// "! <cmd>" passthrough: unrestricted | allowlist (SHELL_ALLOW prefixes) |
+// disabled (also for unknown values), with a per-command timeout (0 = none)
+// and a concurrency cap
+let SHELL_POLICY = cfg.SHELL_POLICY;
+let SHELL_ALLOW = cfg.SHELL_ALLOW;
+let SHELL_TIMEOUT_SEC = cfg.SHELL_TIMEOUT_SEC;
+let SHELL_MAX_JOBS = cfg.SHELL_MAX_JOBS;
+
+// Append-only NDJSON audit of panel/API input ("off" = disabled)
+const AUDIT_LOG =
+  cfg.AUDIT_LOG || path.join(path.dirname(LATEST_LOG), "audit.log");
+
+// Prometheus /metrics endpoint (0 = disabled); it has no auth, so it binds to
+// loopback unless METRICS_BIND widens it
+const METRICS_PORT = cfg.METRICS_PORT;
+const METRICS_BIND = cfg.METRICS_BIND;
+
+// latest.log rotation (by size and/or at midnight) into LOG_ARCHIVE_DIR
+const LOG_ROTATE_MB = cfg.LOG_ROTATE_MB;
+const LOG_ROTATE_DAILY = cfg.LOG_ROTATE_DAILY;
+const LOG_ROTATE_TZ = cfg.LOG_ROTATE_TZ;
+const LOG_ARCHIVE_DIR =
+  cfg.LOG_ARCHIVE_DIR || path.join(path.dirname(LATEST_LOG), "logs");
+const LOG_COMPRESS = cfg.LOG_COMPRESS;
+let LOG_RETAIN_COUNT = cfg.LOG_RETAIN_COUNT;
+let LOG_RETAIN_DAYS = cfg.LOG_RETAIN_DAYS;
+const LOG_KEEP_PREV = cfg.LOG_KEEP_PREV;
+
+// Structured NDJSON sink next to the pretty console (empty = disabled)
+const LOG_JSON = cfg.LOG_JSON;
+const LOG_JSON_SOURCES = new Set(
+  cfg.LOG_JSON_SOURCES.map((s) => s.toLowerCase()),
+);
+
+// Console highlight/suppress/tag rules (JSON), tried before the defaults
+let LOG_RULES_FILE = cfg.LOG_RULES_FILE;
+
+// Game event parser: JSON file overriding/adding patterns, debug printing
+let EVENT_PATTERNS_FILE = cfg.EVENT_PATTERNS_FILE;
+let EVENT_DEBUG = cfg.EVENT_DEBUG;
+
+// Webhook notifications (empty WEBHOOK_URLS = disabled)
+const WEBHOOK_URLS = cfg.WEBHOOK_URLS;
+let WEBHOOK_EVENTS = cfg.WEBHOOK_EVENTS;
+let WEBHOOK_NAME = cfg.WEBHOOK_NAME;
+let WEBHOOK_RETRIES = cfg.WEBHOOK_RETRIES;
+let WEBHOOK_TIMEOUT_MS = cfg.WEBHOOK_TIMEOUT_MS;
+let WEBHOOK_QUEUE_MAX = cfg.WEBHOOK_QUEUE_MAX;
+
+// OOM / low-disk alerts, checked every RESOURCE_CHECK_SEC (0 = off)
+const RESOURCE_CHECK_SEC = cfg.RESOURCE_CHECK_SEC;
+const OOM_WATCH = cfg.OOM_WATCH;
+const OOM_STATE_FILE = cfg.OOM_STATE_FILE;
+let DISK_MIN_FREE_MB = cfg.DISK_MIN_FREE_MB;
+const DISK_CHECK_PATH = cfg.DISK_CHECK_PATH;
+
+// Reconnect probe after an established RCON link drops
+let RCON_RECONNECT_SEC = cfg.RCON_RECONNECT_SEC;
+
+// Wipes: ".wipe" and WIPE_SCHEDULE entries like "full first thu 19:00" in
+// WIPE_TZ, announced WIPE_WARN_MIN minutes ahead; a backup is written before
+// anything is deleted
+const WIPE_SCHEDULE = cfg.WIPE_SCHEDULE;
+const WIPE_TZ = cfg.WIPE_TZ;
+const WIPE_WARN_MIN = cfg.WIPE_WARN_MIN;
+let WIPE_WARN_CMD = cfg.WIPE_WARN_CMD;
+
+// Backups into BACKUP_DIR: ".backup" plus BACKUP_TIMES (HH:MM list in
+// BACKUP_TZ) and/or every BACKUP_INTERVAL_MIN; BACKUP_KEEP archives per kind
+// (0 = all) no older than BACKUP_KEEP_DAYS (0 = any age) are kept
+const BACKUP_DIR = cfg.BACKUP_DIR;
+const BACKUP_TIMES = cfg.BACKUP_TIMES;
+const BACKUP_INTERVAL_MIN = cfg.BACKUP_INTERVAL_MIN;
+const BACKUP_TZ = cfg.BACKUP_TZ;
+let BACKUP_KEEP = cfg.BACKUP_KEEP;
+let BACKUP_KEEP_DAYS = cfg.BACKUP_KEEP_DAYS;
+let BACKUP_SAVE_WAIT_SEC = cfg.BACKUP_SAVE_WAIT_SEC;
+
+// Online roster: checked against RCON "playerlist" every PLAYER_SYNC_SEC
+// (0 = only on ".players sync"); finished sessions are appended to
+// PLAYER_HISTORY_FILE as NDJSON ("off" = not kept)
+let PLAYER_SYNC_SEC = cfg.PLAYER_SYNC_SEC;
+const PLAYER_HISTORY_FILE =
+  cfg.PLAYER_HISTORY_FILE ||
+  path.join(path.dirname(LATEST_LOG), "player-sessions.jsonl");
+
+// Oxide/Carbon plugin files for ".plugins" (empty = <framework>/plugins) and
+// how long each command waits for the load/unload result in the log
+const PLUGINS_DIR = cfg.PLUGINS_DIR;
+let PLUGIN_RESULT_SEC = cfg.PLUGIN_RESULT_SEC;
+
+// Wrapper plugins (empty dir = none); a plugin is disabled after
+// WRAPPER_PLUGIN_ERRORS errors (0 = never)
+let WRAPPER_PLUGINS_DIR = cfg.WRAPPER_PLUGINS_DIR;
+
+// Settings ".config reload" can change on the fly (some re-arm what uses them)
+const CONFIG_SETTERS = {
+  RCON_TIMEOUT_MS: (v) => {
+    RCON_TIMEOUT_MS = v;
+    legacyRcon.timeoutMs = v;
+    webRcon.timeoutMs = v;
+  },
+  RCON_RECONNECT_SEC: (v) => (RCON_RECONNECT_SEC = v),
+  WEBRCON_ECHO: (v) => (WEBRCON_ECHO = v),
+  WEBRCON_DEDUP_MS: (v) => (WEBRCON_DEDUP_MS = v),
+  TELEMETRY_INTERVAL_SEC: (v) => {
+    TELEMETRY_INTERVAL_MS = v * 1000;
+    armTelemetry();
+  },
+  TELEMETRY_INTERVAL_MS: () => {}, // folded into TELEMETRY_INTERVAL_SEC
+  RESTART_WARN_CMD: (v) => (RESTART_WARN_CMD = v),
+  WIPE_WARN_CMD: (v) => (WIPE_WARN_CMD = v),
+  BACKUP_KEEP: (v) => (BACKUP_KEEP = v),
+  BACKUP_KEEP_DAYS: (v) => (BACKUP_KEEP_DAYS = v),
+  BACKUP_SAVE_WAIT_SEC: (v) => (BACKUP_SAVE_WAIT_SEC = v),
+  PLAYER_SYNC_SEC: (v) => {
+    PLAYER_SYNC_SEC = v;
+    armPlayerSync();
+  },
+  RESTART_SAVE_WAIT_SEC: (v) => (RESTART_SAVE_WAIT_SEC = v),
+  RESTART_QUIT_TIMEOUT_SEC: (v) => (RESTART_QUIT_TIMEOUT_SEC = v),
+  SHUTDOWN_TIMEOUT_SEC: (v) => (SHUTDOWN_TIMEOUT_SEC = v),
+  SHUTDOWN_KILL_SEC: (v) => (SHUTDOWN_KILL_SEC = v),
+  SHUTDOWN_WARN_CMD: (v) => (SHUTDOWN_WARN_CMD = v),
+  SHUTDOWN_WARN_SEC: (v) => (SHUTDOWN_WARN_SEC = v),
+  HANG_SILENCE_SEC: (v) => (HANG_SILENCE_SEC = v),
+  HANG_PROBES: (v) => (HANG_PROBES = v),
+  HANG_PROBE_CMD: (v) => (HANG_PROBE_CMD = v),
+  HANG_RESTART: (v) => (HANG_RESTART = v),
+  HANG_RESTART_GRACE_SEC: (v) => (HANG_RESTART_GRACE_SEC = v),
+  STACK_DUMP_KEEP: (v) => (STACK_DUMP_KEEP = v),
+  CRASH_RESTART: (v) => (CRASH_RESTART = v),
+  CRASH_BACKOFF_SEC: (v) => (CRASH_BACKOFF_SEC = v),
+  CRASH_BACKOFF_MAX_SEC: (v) => (CRASH_BACKOFF_MAX_SEC = v),
+  CRASH_MAX: (v) => (CRASH_MAX = v),
+  CRASH_WINDOW_SEC: (v) => (CRASH_WINDOW_SEC = v),
+  SHELL_POLICY: (v) => (SHELL_POLICY = v),
+  SHELL_ALLOW: (v) => (SHELL_ALLOW = v),
+  SHELL_TIMEOUT_SEC: (v) => (SHELL_TIMEOUT_SEC = v),
+  SHELL_MAX_JOBS: (v) => (SHELL_MAX_JOBS = v),
+  LOG_RETAIN_COUNT: (v) => (LOG_RETAIN_COUNT = v),
+  LOG_RETAIN_DAYS: (v) => (LOG_RETAIN_DAYS = v),
+  LOG_RULES_FILE: (v) => {
+    LOG_RULES_FILE = v;
+    loadLogRules();
+  },
+  EVENT_PATTERNS_FILE: (v) => {
+    EVENT_PATTERNS_FILE = v;
+    loadEventPatterns();
+  },
+  EVENT_DEBUG: (v) => (EVENT_DEBUG = v),
+  WEBHOOK_EVENTS: (v) => {
+    WEBHOOK_EVENTS = v;
+    webhookEvents = parseWebhookEvents();
+  },
+  WEBHOOK_NAME: (v) => (WEBHOOK_NAME = v),
+  WEBHOOK_RETRIES: (v) => (WEBHOOK_RETRIES = v),
+  WEBHOOK_TIMEOUT_MS: (v) => (WEBHOOK_TIMEOUT_MS = v),
+  WEBHOOK_QUEUE_MAX: (v) => (WEBHOOK_QUEUE_MAX = v),
+  DISK_MIN_FREE_MB: (v) => (DISK_MIN_FREE_MB = v),
+  PLUGIN_RESULT_SEC: (v) => (PLUGIN_RESULT_SEC = v),
+  WRAPPER_PLUGINS_DIR: (v) => {
+    WRAPPER_PLUGINS_DIR = v;
+    wrapperPlugins.dir = v;
+    reloadWrapperPlugins();
+  },
+  WRAPPER_PLUGIN_ERRORS: (v) => (wrapperPlugins.errorLimit = v),
+};
+
+// ---------- colors ----------
+const C = COLOR_OK
+  ? {
+      reset: "\x1b[0m",
+      dim: "\x1b[2m",
+      fg: {
+        red: "\x1b[31m",
+        green: "\x1b[32m",
+        yellow: "\x1b[33m",
+        cyan: "\x1b[36m",
+        magenta: "\x1b[35m",
+        white: "\x1b[37m",
+      },
+    }
+  : {
+      reset: "",
+      dim: "",
+      fg: { red: "", green: "", yellow: "", cyan: "", magenta: "", white: "" },
+    };
+
+// ---------- helpers ----------
+const hhmm = () => {
+  const d = new Date();
+  const p = (n) => String(n).padStart(2, "0");
+  return `${p(d.getHours())}:${p(d.getMinutes())}`;
+};
+
+const which = (bin) => {
+  try {
+    return execSync(`command -v ${bin}`, {
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .toString()
+      .trim();
+  } catch {
+    return "";
+  }
+};
+
+const shQuote = (s) => `'${String(s).replace(/'/g, `'\\''`)}'`;
+
+function resolveTimeZone(tz, tag) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [${tag}] unknown timezone "${tz}", using UTC${C.reset}\n`,
+    );
+    return "UTC";
+  }
+}
+
+function zonedParts(ms, tz) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: tz,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  });
+  const parts = {};
+  for (const p of fmt.formatToParts(new Date(ms))) {
+    if (p.type !== "literal") parts[p.type] = parseInt(p.value, 10);
+  }
+  return parts;
+}
+
+// Wall-clock time in `tz` -> epoch ms (second pass settles DST edges)
+function zonedToEpoch(y, mo, d, h, mi, tz) {
+  const wall = Date.UTC(y, mo - 1, d, h, mi);
+  let t = wall;
+  for (let pass = 0; pass < 2; pass++) {
+    const p = zonedParts(t, tz);
+    t +=
+      wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  }
+  return t;
+}
+
+function formatZoned(ms, tz) {
+  const p = zonedParts(ms, tz);
+  const z = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${z(p.month)}-${z(p.day)} ${z(p.hour)}:${z(p.minute)} ${tz}`;
+}
+
+function formatDuration(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  const m = Math.round(s / 60);
+  if (m < 60) return `${m}m`;
+  return `${Math.floor(m / 60)}h${String(m % 60).padStart(2, "0")}m`;
+}
+
+const formatSize = (bytes) =>
+  bytes >= 1048576
+    ? `${(bytes / 1048576).toFixed(1)}MB`
+    : `${Math.ceil(bytes / 1024)}KB`;
+
+// ---------- config report / reload ----------
+function printConfigErrors(errors) {
+  for (const err of errors) {
+    process.stdout.write(`${C.fg.yellow}${hhmm()} [config] ${err}${C.reset}\n`);
+  }
+}
+printConfigErrors(config.errors);
+
+function showSetting(key, value) {
+  if (CONFIG_SCHEMA[key].secret) return value ? "********" : "(empty)";
+  if (Array.isArray(value)) return value.join(",") || "(empty)";
+  if (value === null || value === "") return "(empty)";
+  return String(value);
+}
+
+// ".config [filter]": effective value of each setting and where it came from;
+// * marks the ones ".config reload" can change
+function printConfig(filter) {
+  const keys = Object.keys(CONFIG_SCHEMA).filter((k) =>
+    k.includes(filter.toUpperCase()),
+  );
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [config] file: ${CONFIG_FILE || "none (WRAPPER_CONFIG unset)"}; * = reloadable\n`,
+  );
+  if (!keys.length) {
+    process.stdout.write(`  no settings match "${filter}"\n`);
+    return;
+  }
+  const width = Math.max(...keys.map((k) => k.length));
+  for (const key of keys) {
+    process.stdout.write(
+      `  ${key in CONFIG_SETTERS ? "*" : " "} ${key.padEnd(width)} = ${showSetting(key, config.values[key])} ${C.dim}(${config.sources[key]})${C.reset}\n`,
+    );
+  }
+}
+
+// Re-reads WRAPPER_CONFIG (the environment can't change under us) and applies
+// reloadable keys; the others keep their running value until a restart
+function reloadConfig() {
+  const next = loadConfig();
+  printConfigErrors(next.errors);
+  const applied = [];
+  const pending = [];
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const before = config.values[key];
+    const after = next.values[key];
+    if (JSON.stringify(before) === JSON.stringify(after)) continue;
+    if (!(key in CONFIG_SETTERS)) {
+      pending.push(key);
+      next.values[key] = before;
+      next.sources[key] = config.sources[key];
+      continue;
+    }
+    CONFIG_SETTERS[key](after);
+    applied.push(
+      `${key}: ${showSetting(key, before)} -> ${showSetting(key, after)}`,
+    );
+  }
+  config = next;
+
+  for (const msg of applied) {
+    process.stdout.write(`${C.dim}${hhmm()}${C.reset} [config] ${msg}\n`);
+  }
+  if (pending.length) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [config] ${pending.join(", ")} changed; restart to apply${C.reset}\n`,
+    );
+  }
+  if (!applied.length && !pending.length) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [config] reloaded; nothing changed\n`,
+    );
+  }
+}
+
+// ---------- log highlight rules ----------
+// The first rule whose regex matches a mirrored line decides how it is shown:
+// color, a [tag], suppress (console only; latest.log, NDJSON and the API still
+// get the line) or error (red, counted as stderr). LOG_RULES_FILE holds a JSON
+// array of { match, flags?, color?, tag?, suppress?, error? } tried before the
+// defaults, or { rules: [...], defaults: false } to drop the defaults.
+const DEFAULT_LOG_RULES = [
+  // chat can mention anything; keep it away from the framework rules below
+  {
+    match: "^\\[(?:CHAT|TEAM CHAT|Chat|Team Chat)\\] ",
+    color: "white",
+  },
+  {
+    match: "(?:Loaded|Unloaded|Reloaded) plugin ",
+    tag: "plugin",
+    color: "magenta",
+  },
+  {
+    match: "Error while compiling|Failed to (?:compile|load|initialize)\\b",
+    tag: "plugin",
+    error: true,
+  },
+  { match: "NullReferenceException", error: true },
+  // Unity stack frames and file markers trailing every exception/warning
+  { match: "^\\s*at \\S.*\\) \\[0x[0-9a-f]+\\] in ", suppress: true },
+  { match: "^\\(Filename: .* Line: -?\\d+\\)$", suppress: true },
+  {
+    match:
+      "^The referenced script .* is missing!|^Fallback handler could not load library|^WARNING: Shader |^Shader .* not supported",
+    tag: "unity",
+    color: "yellow",
+  },
+  {
+    match: "^\\s*\\[(?:Oxide|uMod)\\]|^\\s*Oxide\\.",
+    tag: "oxide",
+    color: "magenta",
+  },
+  { match: "^\\s*\\[Carbon\\]|^\\s*Carbon\\.", tag: "carbon", color: "cyan" },
+];
+
+const NO_LOG_RULE = { tag: "", color: "", suppress: false, error: false };
+let logRules = [];
+let logRulesFromFile = 0;
+
+function compileLogRule(r) {
+  if (!r || typeof r.match !== "string") throw new Error('missing "match"');
+  const colorName = r.color ? String(r.color).toLowerCase() : "";
+  if (colorName && colorName !== "dim" && !(colorName in C.fg)) {
+    throw new Error(`unknown color "${r.color}"`);
+  }
+  const tag = r.tag ? String(r.tag).replace(/^\[?(.*?)\]?$/, "[$1]") : "";
+  return {
+    // g/y would make test() stateful
+    re: new RegExp(r.match, String(r.flags || "").replace(/[gy]/g, "")),
+    tag,
+    color: r.error
+      ? C.fg.red
+      : colorName === "dim"
+        ? C.dim
+        : colorName
+          ? C.fg[colorName]
+          : "",
+    suppress: !!r.suppress,
+    error: !!r.error,
+  };
+}
+
+function loadLogRules() {
+  let custom = [];
+  let useDefaults = true;
+  if (LOG_RULES_FILE) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(LOG_RULES_FILE, "utf8"));
+      custom = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+      if (!Array.isArray(custom)) throw new Error("expected an array of rules");
+      if (parsed.defaults === false) useDefaults = false;
+    } catch (e) {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [rules] ${LOG_RULES_FILE}: ${e.message}; using defaults${C.reset}\n`,
+      );
+      custom = [];
+    }
+  }
+
+  const out = [];
+  custom.forEach((r, i) => {
+    try {
+      out.push(compileLogRule(r));
+    } catch (e) {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [rules] rule #${i + 1} skipped: ${e.message}${C.reset}\n`,
+      );
+    }
+  });
+  logRulesFromFile = out.length;
+  if (useDefaults)
+    for (const r of DEFAULT_LOG_RULES) out.push(compileLogRule(r));
+  logRules = out;
+}
+
+function classifyLine(line) {
+  for (const r of logRules) if (r.re.test(line)) return r;
+  return NO_LOG_RULE;
+}
+
+loadLogRules();
+
+// ---------- log file setup ----------
+// latest.log is written through one fd so a rotation (rename + reopen) never
+// splits a write. Archives are <name>-YYYYMMDD-HHMMSS<ext>[.gz].
+const LOG_ROTATE = LOG_ROTATE_MB > 0 || LOG_ROTATE_DAILY;
+const logTz = resolveTimeZone(LOG_ROTATE_TZ, "log");
+const logBase = path.parse(LATEST_LOG);
+let logFd = null;
+let logBytes = 0;
+
+function openLatestLog() {
+  try {
+    logFd = fs.openSync(LATEST_LOG, "w");
+  } catch {
+    logFd = null;
+  }
+  logBytes = 0;
+}
+
+function logArchivePath(ms) {
+  const p = zonedParts(ms, logTz);
+  const z = (n) => String(n).padStart(2, "0");
+  const stamp = `${p.year}${z(p.month)}${z(p.day)}-${z(p.hour)}${z(
+    p.minute,
+  )}${z(p.second)}`;
+  for (let n = 0; ; n++) {
+    const file = path.join(
+      LOG_ARCHIVE_DIR,
+      `${logBase.name}-${stamp}${n ? `-${n}` : ""}${logBase.ext}`,
+    );
+    if (!fs.existsSync(file) && !fs.existsSync(`${file}.gz`)) return file;
+  }
+}
+
+function pruneLogArchives() {
+  let files;
+  try {
+    files = fs.readdirSync(LOG_ARCHIVE_DIR);
+  } catch {
+    return;
+  }
+  const esc = (v) => v.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const re = new RegExp(
+    `^${esc(logBase.name)}-(\\d{8}-\\d{6})(?:-(\\d+))?${esc(
+      logBase.ext,
+    )}(?:\\.gz)?$`,
+  );
+  // oldest first: by timestamp, then by the -N collision suffix
+  const key = (f) => {
+    const m = re.exec(f);
+    return `${m[1]}${String(m[2] || 0).padStart(4, "0")}`;
+  };
+  const archives = files
+    .filter((f) => re.test(f))
+    .sort((a, b) => (key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0));
+  const now = Date.now();
+
+  archives.forEach((f, i) => {
+    const full = path.join(LOG_ARCHIVE_DIR, f);
+    let drop = LOG_RETAIN_COUNT > 0 && i < archives.length - LOG_RETAIN_COUNT;
+    if (!drop && LOG_RETAIN_DAYS > 0) {
+      try {
+        drop = now - fs.statSync(full).mtimeMs > LOG_RETAIN_DAYS * 86400000;
+      } catch {}
+    }
+    if (drop) {
+      try {
+        fs.unlinkSync(full);
+      } catch {}
+    }
+  });
+}
+
+function compressLogArchive(file) {
+  if (!LOG_COMPRESS) return pruneLogArchives();
+  const gz = `${file}.gz`;
+  stream.pipeline(
+    fs.createReadStream(file),
+    zlib.createGzip(),
+    fs.createWriteStream(gz),
+    (err) => {
+      try {
+        fs.unlinkSync(err ? gz : file);
+      } catch {}
+      if (err) {
+        process.stdout.write(
+          `${C.fg.yellow}${hhmm()} [log] compress failed for ${file}: ${err.message}${C.reset}\n`,
+        );
+      }
+      pruneLogArchives();
+    },
+  );
+}
+
+// Moves `src` into the archive dir; copies instead when `keep` is set.
+function archiveLogFile(src, keep) {
+  try {
+    fs.mkdirSync(LOG_ARCHIVE_DIR, { recursive: true });
+    const dest = logArchivePath(Date.now());
+    if (keep) {
+      fs.copyFileSync(src, dest);
+    } else {
+      try {
+        fs.renameSync(src, dest);
+      } catch {
+        // archive dir on another filesystem
+        fs.copyFileSync(src, dest);
+        fs.truncateSync(src, 0);
+      }
+    }
+    compressLogArchive(dest);
+    return dest;
+  } catch (e) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [log] could not archive ${src}: ${e.message}${C.reset}\n`,
+    );
+    return null;
+  }
+}
+
+function rotateLatestLog(reason) {
+  if (!logBytes) return;
+  try {
+    fs.closeSync(logFd);
+  } catch {}
+  logFd = null;
+  const dest = archiveLogFile(LATEST_LOG, false);
+  openLatestLog();
+  if (dest) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [log] rotated (${reason}) -> ${dest}\n`,
+    );
+  }
+}
+
+function writeLatestLog(text) {
+  if (logFd === null) return;
+  try {
+    fs.writeSync(logFd, text);
+  } catch {}
+  logBytes += Buffer.byteLength(text);
+  if (LOG_ROTATE_MB > 0 && logBytes >= LOG_ROTATE_MB * 1024 * 1024) {
+    rotateLatestLog("size");
+  }
+}
+
+function armDailyLogRotation() {
+  const p = zonedParts(Date.now(), logTz);
+  const midnight = zonedToEpoch(p.year, p.month, p.day + 1, 0, 0, logTz);
+  setTimeout(
+    () => {
+      rotateLatestLog("daily");
+      armDailyLogRotation();
+    },
+    Math.max(1000, midnight - Date.now()),
+  ).unref();
+}
+
+// Previous session: keep latest.log.prev for panels that expect it and,
+// when rotating, also archive it instead of losing it on the next boot.
+try {
+  if (fs.existsSync(LATEST_LOG)) {
+    const hadData = fs.statSync(LATEST_LOG).size > 0;
+    if (LOG_KEEP_PREV || !LOG_ROTATE) {
+      fs.renameSync(LATEST_LOG, `${LATEST_LOG}.prev`);
+      if (LOG_ROTATE && hadData) archiveLogFile(`${LATEST_LOG}.prev`, true);
+    } else if (hadData) {
+      archiveLogFile(LATEST_LOG, false);
+    }
+  }
+} catch {}
+
+openLatestLog();
+if (LOG_ROTATE) pruneLogArchives();
+if (LOG_ROTATE_DAILY) armDailyLogRotation();
+
+// ---------- structured NDJSON sink (optional) ----------
+// One object per line: { ts, source, stream, tag, message }. Game, unity,
+// rcon and shell lines are logged where they are mirrored (and printed via
+// mirrorWrite); anything else written to stdout/stderr is a wrapper message.
+const ANSI_RE = /\x1b\[[0-9;]*m/g;
+let jsonFd = null;
+let jsonMirroring = 0;
+
+function jsonLog(source, isErr, message, tag) {
+  if (jsonFd === null || !LOG_JSON_SOURCES.has(source)) return;
+  if (tag === undefined) tag = classifyLine(message).tag;
+  const rec = {
+    ts: new Date().toISOString(),
+    source,
+    stream: isErr ? "err" : "out",
+    tag: tag ? tag.slice(1, -1) : null,
+    message,
+  };
+  try {
+    fs.writeSync(jsonFd, JSON.stringify(rec) + "\n");
+  } catch {}
+}
+
+// Console write for a line already handed to jsonLog
+function mirrorWrite(isErr, text) {
+  jsonMirroring++;
+  try {
+    (isErr ? process.stderr : process.stdout).write(text);
+  } finally {
+    jsonMirroring--;
+  }
+}
+
+if (LOG_JSON) {
+  try {
+    jsonFd = fs.openSync(LOG_JSON, "a");
+  } catch (e) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [log] cannot open LOG_JSON ${LOG_JSON}: ${e.message}${C.reset}\n`,
+    );
+  }
+}
+
+if (jsonFd !== null) {
+  for (const [target, isErr] of [
+    [process.stdout, false],
+    [process.stderr, true],
+  ]) {
+    const write = target.write.bind(target);
+    target.write = (chunk, ...rest) => {
+      if (!jsonMirroring) {
+        for (const ln of String(chunk).replace(ANSI_RE, "").split(/\r?\n/)) {
+          const msg = ln.replace(/^\d\d:\d\d /, "");
+          if (msg.trim()) jsonLog("wrapper", isErr, msg);
+        }
+      }
+      return write(chunk, ...rest);
+    };
+  }
+}
+
+// ---------- argv decode ----------
+let fullArgv;
+try {
+  fullArgv = decodeArgv(process.argv.slice(2));
+} catch (e) {
+  console.error(`${hhmm()} ERROR: ${e.message}`);
+  process.exit(1);
+}
+const executable = fullArgv[0];
+const params = repairSplitArgs(fullArgv.slice(1));
+
+if (!executable) {
+  console.error(
+    `${hhmm()} ERROR: First argv element must be the RustDedicated binary.`,
+  );
+  process.exit(1);
+}
+
+// ---------- run line ----------
+const CONSOLE_MODE = (() => {
+  let m = initialMode;
+  if (m !== "stdin" && m !== "rcon" && m !== "auto") m = "auto";
+  return m;
+})();
+process.env.CONSOLE_MODE = CONSOLE_MODE;
+
+process.stdout.write(
+  `${C.dim}${hhmm()}${C.reset} Executing: ${executable} ${formatArgv(params)}` +
+    `  [mode:${process.env.CONSOLE_MODE}]\n`,
+);
+
+// detect -logfile
+const unityLogfile = argValue(params, "-logfile");
+
+// ---------- pretty mirroring ----------
+const logMirror = createLogMirror();
+
+// Recent mirrored lines (control API backlog) and live subscribers
+const logRing = [];
+const logListeners = new Set();
+const logLineCounts = Object.create(null); // "source:stream" -> lines seen
+
+function recordLine(source, isErr, line) {
+  const entry = {
+    ts: new Date().toISOString(),
+    source,
+    stream: isErr ? "err" : "out",
+    line,
+  };
+  const countKey = `${source}:${entry.stream}`;
+  logLineCounts[countKey] = (logLineCounts[countKey] || 0) + 1;
+  logRing.push(entry);
+  if (logRing.length > API_LOG_LINES) logRing.shift();
+  for (const fn of logListeners) fn(entry);
+}
+
+// One complete line to the ring/NDJSON and, unless a rule suppresses it, the
+// console; baseColor applies when no rule picks a color.
+function mirrorLine(sourceKey, isErr, ln, baseColor) {
+  const rule = classifyLine(ln);
+  const err = isErr || rule.error;
+  recordLine(sourceKey, err, ln);
+  jsonLog(sourceKey, err, ln, rule.tag);
+  if (rule.suppress) return;
+  const out = `${C.dim}${hhmm()}${C.reset} ${
+    rule.tag ? rule.tag + " " : ""
+  }${ln}`;
+  mirrorWrite(err, `${rule.color || baseColor}${out}${C.reset}\n`);
+}
+
+// Raw text goes to latest.log as it arrives; complete lines are printed and
+// fed to the watchdog, echo dedup and event parser. Partial lines flushed on
+// exit are only printed (white).
+logMirror.on("data", ({ text }) => {
+  try {
+    writeLatestLog(text);
+  } catch {}
+});
+
+logMirror.on("line", ({ source, isErr, line, partial }) => {
+  const color = partial ? C.fg.white : isErr ? C.fg.red : C.fg.green;
+  // plugins may rewrite or hide what is shown; the rest sees the raw line
+  const shown = wrapperPlugins.filterLine({ source, isErr, line, partial });
+  if (shown !== false) mirrorLine(source, isErr, shown, color);
+  if (partial) return;
+  if (source === "game" || source === "unity") {
+    stdoutLive = true;
+    noteGameOutput();
+    noteStdoutEcho(echoKey(line));
+  }
+  parseGameEvents(source, line); // after the line, so reactions print below it
+});
+
+function emitPretty(sourceKey, chunk, isErr = false) {
+  logMirror.write(sourceKey, chunk, isErr);
+}
+
+// ---------- game event parser ----------
+// Turns mirrored game/unity lines into typed events on `bus`. Listeners get
+// (payload) for the event name and ("*", name, payload) for everything;
+// payload = named regex groups + { line, source, ts }. The wrapper adds its
+// own (game.start/exit/crash/hang, rcon.lost/restored, alert.*).
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Event name -> regex source(s). Named groups become payload fields.
+const DEFAULT_EVENT_PATTERNS = {
+  // 1.2.3.4:61000/76561198000000000/Name joined [windows/76561198000000000]
+  "player.connect": [
+    "^(?<ip>[\\d.]+):\\d+/(?<steamId>\\d{17})/(?<name>.+?) joined \\[",
+  ],
+  // 1.2.3.4:61000/76561198000000000/Name disconnecting: closing
+  "player.disconnect": [
+    "^(?<ip>[\\d.]+):\\d+/(?<steamId>\\d{17})/(?<name>.+?) disconnecting: (?<reason>.*)$",
+  ],
+  // [CHAT] Name[76561198000000000] : hi   (Oxide/Carbon: [Chat], [Team Chat])
+  chat: [
+    "^\\[(?<channel>CHAT|Chat|TEAM CHAT|Team Chat)\\] (?<name>.+?)\\[(?<steamId>\\d{17})\\] ?: (?<message>.*)$",
+  ],
+  // Victim[123/76561198000000000] was killed by Killer[456/76561198000000001]
+  kill: [
+    "^(?<victim>.+?)\\[(?:\\d+/)?(?<victimId>\\d+)\\] was killed by (?<killer>.+?)(?:\\[(?:\\d+/)?(?<killerId>\\d+)\\])?$",
+  ],
+  "save.start": ["^Saving (?<entities>[\\d,]+) entities"],
+  "save.finish": ["^Saved (?<entities>[\\d,]+) ents"],
+  "server.ready": ["^Server startup complete"],
+  // Oxide/Carbon: "Loaded plugin Vanish v1.2.3 by Whispers88"
+  "plugin.loaded": [
+    "(?:^|\\W)Loaded plugin (?<name>[\\w-]+)(?: v(?<version>\\d[\\w.-]*))?",
+  ],
+  "plugin.unloaded": [
+    "(?:^|\\W)Unloaded plugin (?<name>[\\w-]+)(?: v(?<version>\\d[\\w.-]*))?",
+  ],
+  // "Error while compiling: Vanish.cs(12,5): error CS1002: ; expected" and
+  // "Failed to initialize plugin 'Vanish v1.2.3' (NullReferenceException: ...)"
+  "plugin.error": [
+    "(?<name>[\\w-]+)\\.cs\\(\\d+,\\d+\\):? error ",
+    "Failed to (?:compile|load|initialize) plugin '?(?<name>[\\w-]+)",
+  ],
+};
+
+let eventPatterns = []; // [{ event, re }]
+
+function loadEventPatterns() {
+  const merged = { ...DEFAULT_EVENT_PATTERNS };
+  if (EVENT_PATTERNS_FILE) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(EVENT_PATTERNS_FILE, "utf8"));
+      if (!custom || typeof custom !== "object" || Array.isArray(custom)) {
+        throw new Error("expected an object of event -> pattern(s)");
+      }
+      // a string/array replaces that event's patterns; null disables it
+      for (const [event, pats] of Object.entries(custom)) merged[event] = pats;
+    } catch (e) {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [events] ${EVENT_PATTERNS_FILE}: ${e.message}; using defaults${C.reset}\n`,
+      );
+      return loadDefaultsOnly();
+    }
+  }
+
+  const out = [];
+  for (const [event, pats] of Object.entries(merged)) {
+    if (pats === null || pats === false) continue;
+    for (const src of [].concat(pats)) {
+      try {
+        out.push({ event, re: new RegExp(String(src)) });
+      } catch (e) {
+        process.stdout.write(
+          `${C.fg.yellow}${hhmm()} [events] bad pattern for ${event}: ${e.message}${C.reset}\n`,
+        );
+      }
+    }
+  }
+  eventPatterns = out;
+}
+
+function loadDefaultsOnly() {
+  eventPatterns = [];
+  for (const [event, pats] of Object.entries(DEFAULT_EVENT_PATTERNS)) {
+    for (const src of pats) eventPatterns.push({ event, re: new RegExp(src) });
+  }
+}
+
+// With -logfile the same line can arrive from stdout and the unity tail;
+// identical event+line pairs inside this window fire once.
+const EVENT_DEDUP_MS = 2000;
+const recentEvents = new Map(); // "event|line" -> ts
+
+function parseGameEvents(source, line) {
+  const text = line.trim();
+  if (!text) return;
+  const now = Date.now();
+
+  for (const { event, re } of eventPatterns) {
+    const m = re.exec(text);
+    if (!m) continue;
+
+    const key = `${event}|${text}`;
+    const seen = recentEvents.get(key);
+    recentEvents.set(key, now);
+    if (seen && now - seen < EVENT_DEDUP_MS) continue;
+    if (recentEvents.size > 500) {
+      for (const [k, ts] of recentEvents) {
+        if (now - ts >= EVENT_DEDUP_MS) recentEvents.delete(k);
+      }
+    }
+
+    const payload = {
+      ...(m.groups || {}),
+      line: text,
+      source,
+      ts: new Date(now).toISOString(),
+    };
+    if (EVENT_DEBUG) {
+      const fields = Object.entries(m.groups || {})
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(" ");
+      process.stdout.write(
+        `${C.dim}${hhmm()} [event] ${event} ${fields}${C.reset}\n`,
+      );
+    }
+    bus.emit(event, payload);
+    bus.emit("*", event, payload);
+  }
+}
+
+loadEventPatterns();
+
+// ---------- spawn Rust with or without PTY ----------
+const scriptBin = which("script"); // util-linux
+const stdbufBin = which("stdbuf"); // coreutils
+
+// If we *start* in stdin mode, prefer a direct pipe so game.stdin is really Rust's stdin.
+const forcePlainStdin = initialMode === "stdin";
+
+let cmd;
+let args;
+
+// Build the real command to run (optionally prefixed with stdbuf)
+const realCmd = (() => {
+  const seq = [];
+  if (stdbufBin) seq.push(stdbufBin, "-oL", "-eL");
+  seq.push(executable, ...params);
+  return seq.map(shQuote).join(" ");
+})();
+
+if (scriptBin && !forcePlainStdin) {
+  // RCON / auto modes: run under a PTY: script -qefc "<realCmd>" /dev/null
+  cmd = scriptBin;
+  args = ["-qefc", realCmd, "/dev/null"];
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} using PTY via 'script'${
+      stdbufBin ? " + stdbuf" : ""
+    }\n`,
+  );
+} else if (stdbufBin) {
+  // stdin mode (or no script): run RustDedicated directly, with stdbuf if available
+  cmd = stdbufBin;
+  args = ["-oL", "-eL", executable, ...params];
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} running without PTY (using stdbuf)\n`,
+  );
+} else {
+  cmd = executable;
+  args = params;
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} running plain (no script, no stdbuf)\n`,
+  );
+}
+
+// `game` is replaced on every (re)launch; always go through this binding.
+let game = null;
+let gameRunning = false;
+let gameStartedAt = 0;
+let quitRequested = false; // "quit" typed on the panel: exit is deliberate
+
+function spawnGame() {
+  game = spawn(cmd, args, {
+    stdio: ["pipe", "pipe", "pipe"],
+    cwd: SERVER_ROOT,
+    shell: false,
+  });
+  gameRunning = true;
+  gameStartedAt = Date.now();
+  quitRequested = false;
+
+  game.stdout.on("data", (d) => emitPretty("game", d, false));
+  game.stderr.on("data", (d) => emitPretty("game", d, true));
+  // writes racing a dying process surface as EPIPE here; don't let them crash us
+  game.stdin.on("error", () => {});
+  game.on("exit", onGameExit);
+
+  // deferred so subscribers set up later in startup still see the first launch
+  const pid = game.pid;
+  process.nextTick(() => bus.emit("game.start", { pid }));
+}
+
+spawnGame();
+
+// tail unity -logfile
+let tailProc = null;
+if (unityLogfile) {
+  try {
+    fs.closeSync(fs.openSync(unityLogfile, "a"));
+  } catch {}
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} Mirroring logfile: ${unityLogfile}\n`,
+  );
+  tailProc = spawn("tail", ["-n", "+1", "-F", unityLogfile], {
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  const tailMirror = (d) => emitPretty("unity", d, false);
+  tailProc.stdout.on("data", tailMirror);
+  tailProc.stderr.on("data", tailMirror);
+} else {
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} No -logfile specified; consider adding: -logfile /home/container/unity.log\n`,
+  );
+}
+
+// ---------- /proc sampling for the game process ----------
+// The real game pid: walk our spawned child tree (script/stdbuf may sit in
+// between), falling back to any RustDedicated process on the box.
+function resolveGamePid() {
+  if (gameRunning && game && game.pid) {
+    const pid = findGamePid(game.pid);
+    if (pid) return pid;
+  }
+  return findProcessByName("RustDedicated");
+}
+
+// ---------- Telemetry helpers (CPU + memory + load) ----------
+const computeCpuPercent = createCpuMeter();
+const gameSampler = createProcessSampler();
+
+// Rates compare against the previous sample; the first one after a
+// (re)launch averages over the time since launch (counters start at 0).
+function sampleGame() {
+  const pid = gameRunning ? resolveGamePid() : null;
+  return gameSampler.sample(pid, gameStartedAt);
+}
+
+function snapshotTelemetry() {
+  const mem = process.memoryUsage();
+  const cpuPercent = computeCpuPercent();
+  const load = os.loadavg(); // [1m, 5m, 15m]
+  const gameStats = sampleGame();
+  return { game: gameStats, wrapper: { mem, cpuPercent }, load };
+}
+
+function printTelemetry(prefix) {
+  const { game: g, wrapper, load } = snapshotTelemetry();
+  const mb = (v) => (v / 1024 / 1024).toFixed(1);
+  const loadStr = load.map((v) => v.toFixed(2)).join(", ");
+
+  let gameStr = "down";
+  if (gameRunning && g) {
+    const cpuStr =
+      g.cpuPercent === null
+        ? "n/a"
+        : `${g.cpuPercent.toFixed(1)}% (${g.cpuPercentAll.toFixed(1)}% of ${
+            os.cpus().length
+          } cores)`;
+    const ioStr =
+      g.readRate === null || g.writeRate === null
+        ? "n/a"
+        : `${mb(g.readRate)}/${mb(g.writeRate)}MB/s(r/w)`;
+    gameStr =
+      `pid=${g.pid} up=${formatDuration(Date.now() - gameStartedAt)} ` +
+      `cpu=${cpuStr} rss=${mb(g.rssBytes)}MB swap=${mb(g.swapBytes)}MB ` +
+      `threads=${g.threads} fds=${g.fds} io=${ioStr}`;
+  } else if (gameRunning) {
+    gameStr = `up=${formatDuration(Date.now() - gameStartedAt)} (pid not found)`;
+  }
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [${prefix}] game ${gameStr} loadavg=${loadStr}` +
+      ` restarts=${supervisor.restarts} crashes=${supervisor.crashes}` +
+      ` last_exit=${supervisor.lastExit || "none"}\n`,
+  );
+  process.stdout.write(
+    `${C.dim}${hhmm()} [${prefix}] wrapper cpu=${wrapper.cpuPercent.toFixed(
+      1,
+    )}% rss=${mb(wrapper.mem.rss)}MB heap=${mb(wrapper.mem.heapUsed)}/${mb(
+      wrapper.mem.heapTotal,
+    )}MB${C.reset}\n`,
+  );
+}
+
+function printHeapDetails() {
+  const mem = process.memoryUsage();
+  const parts = [];
+  for (const [key, val] of Object.entries(mem)) {
+    const mb = (val / 1024 / 1024).toFixed(3);
+    parts.push(`${key}=${mb}MB`);
+  }
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [heap] ${parts.join(" ")}\n`,
+  );
+}
+
+// Periodic telemetry (re-armed when ".config reload" changes the interval)
+let telemetryTimer = null;
+function armTelemetry() {
+  clearInterval(telemetryTimer);
+  telemetryTimer = null;
+  if (TELEMETRY_INTERVAL_MS > 0) {
+    telemetryTimer = setInterval(() => {
+      printTelemetry("telemetry");
+    }, TELEMETRY_INTERVAL_MS).unref();
+  }
+}
+armTelemetry();
+
+// ---------- RCON helpers (persistent; legacy + optional WebRCON) ----------
+// Timeouts (code RCON_TIMEOUT) mean the command reached the server but no
+// reply came back; callers must not resend them over another route.
+function printRconReply(body) {
+  for (const ln of body.split(/\r?\n/)) {
+    if (!ln.trim()) continue;
+    jsonLog("rcon", false, ln);
+    const out = `${C.dim}${hhmm()}${C.reset} [rcon] ${ln}`;
+    mirrorWrite(false, `${C.fg.cyan}${out}${C.reset}\n`);
+  }
+}
+
+// Connection edges for the bus: "rcon.lost" when an authed link drops,
+// "rcon.restored" on the next successful auth. Once lost, a probe reconnects
+// every RCON_RECONNECT_SEC while the server is up (RCON only listens after
+// "Server startup complete", so it waits for that after a relaunch).
+const rconLink = { up: false, lostAt: 0, probe: null, serverReady: false };
+
+function markRconUp() {
+  if (rconLink.up) return;
+  rconLink.up = true;
+  if (rconLink.lostAt) {
+    bus.emit("rcon.restored", {
+      mode: RCON_MODE,
+      downMs: Date.now() - rconLink.lostAt,
+    });
+    rconLink.lostAt = 0;
+  }
+}
+
+function markRconDown(reason) {
+  if (!rconLink.up) return;
+  rconLink.up = false;
+  rconLink.lostAt = Date.now();
+  bus.emit("rcon.lost", { mode: RCON_MODE, reason });
+  scheduleRconProbe();
+}
+
+function scheduleRconProbe(delayMs = RCON_RECONNECT_SEC * 1000) {
+  if (rconLink.probe || RCON_RECONNECT_SEC <= 0 || !RCON_PASS) return;
+  rconLink.probe = setTimeout(() => {
+    rconLink.probe = null;
+    if (rconLink.up || !rconLink.lostAt || stopping) return;
+    if (!gameRunning || !rconLink.serverReady) return; // re-armed on ready
+    rcon.connect().catch(() => scheduleRconProbe());
+  }, delayMs);
+  rconLink.probe.unref();
+}
+
+bus.on("game.start", () => {
+  rconLink.serverReady = false;
+});
+bus.on("server.ready", () => {
+  rconLink.serverReady = true;
+  if (rconLink.lostAt) scheduleRconProbe(0);
+});
+
+// --- legacy RCON (Source-style TCP) ---
+const legacyRcon = createLegacyRcon({
+  host: RCON_HOST,
+  port: RCON_PORT,
+  password: RCON_PASS,
+  timeoutMs: RCON_TIMEOUT_MS,
+});
+
+legacyRcon.on("auth", () => {
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [rcon] legacy connection authed\n`,
+  );
+  markRconUp();
+});
+legacyRcon.on("rejected", () => {
+  process.stdout.write(
+    `${C.fg.red}${hhmm()} [rcon] legacy auth rejected (check RCON_PASS)${C.reset}\n`,
+  );
+});
+legacyRcon.on("reply", ({ command, body, opts }) => {
+  if (!opts.quiet) printRconReply(body);
+  wrapperPlugins.notify("rconReply", {
+    mode: "legacy",
+    command,
+    body,
+    quiet: !!opts.quiet,
+  });
+});
+legacyRcon.on("error", (e) => {
+  const what = e.code === "RCON_PROTOCOL" ? "protocol" : "socket";
+  process.stdout.write(
+    `${C.fg.red}${hhmm()} [rcon] legacy ${what} error: ${e.message}${C.reset}\n`,
+  );
+});
+legacyRcon.on("close", () => {
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [rcon] legacy connection closed\n`,
+  );
+  markRconDown("legacy connection closed");
+});
+
+// --- WebRCON (WebSocket JSON) ---
+const webRcon = createWebRcon({
+  host: RCON_HOST,
+  port: RCON_PORT,
+  password: RCON_PASS,
+  timeoutMs: RCON_TIMEOUT_MS,
+});
+
+webRcon.on("open", () => {
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [rcon] WebRCON connected\n`,
+  );
+  markRconUp();
+});
+webRcon.on("reply", ({ command, body, opts }) => {
+  // late replies (after their timeout) have no opts and are printed
+  const quiet = !!(opts && opts.quiet);
+  if (!quiet) printRconReply(cleanWebText(body));
+  wrapperPlugins.notify("rconReply", {
+    mode: "web",
+    command,
+    body: cleanWebText(body),
+    quiet,
+  });
+});
+webRcon.on("broadcast", ({ type, message }) =>
+  printWebBroadcast(type, message),
+);
+webRcon.on("error", (e) => {
+  const what = e.code === "RCON_PROTOCOL" ? "message decode error" : "error";
+  process.stdout.write(
+    `${C.fg.red}${hhmm()} [rcon] WebRCON ${what}: ${e.message}${C.reset}\n`,
+  );
+});
+webRcon.on("close", () => {
+  process.stdout.write(`${C.dim}${hhmm()}${C.reset} [rcon] WebRCON closed\n`);
+  markRconDown("WebRCON closed");
+});
+
+const rcon = RCON_MODE === "web" ? webRcon : legacyRcon;
+
+// WebRCON broadcasts repeat what the game already printed on stdout. Each
+// broadcast line is held for WEBRCON_DEDUP_MS and dropped if the same text
+// came (or comes) through stdout inside that window; chat is matched on
+// (name, message) via the "chat" event. WEBRCON_ECHO=replies also drops
+// unsolicited console broadcasts while stdout is producing output, and "all"
+// prints everything as before.
+const echoSeen = new Map(); // key -> [ts] of stdout lines not yet matched
+const echoHeld = new Map(); // key -> [timer] of broadcasts waiting to print
+let stdoutLive = false; // game/unity output seen since the last launch
+
+const echoKey = (text) => text.replace(/\s+/g, " ").trim();
+
+function noteStdoutEcho(key) {
+  if (WEBRCON_ECHO === "all" || RCON_MODE !== "web" || !key) return;
+  const held = echoHeld.get(key);
+  if (held) {
+    clearTimeout(held.shift());
+    if (!held.length) echoHeld.delete(key);
+    return;
+  }
+  const now = Date.now();
+  if (!echoSeen.has(key)) echoSeen.set(key, []);
+  echoSeen.get(key).push(now);
+  if (echoSeen.size > 1000) {
+    for (const [k, list] of echoSeen) {
+      if (now - list[list.length - 1] >= WEBRCON_DEDUP_MS) echoSeen.delete(k);
+    }
+  }
+}
+
+function echoOrHold(key, show) {
+  if (WEBRCON_ECHO === "all" || !key) return show();
+  const now = Date.now();
+  const seen = (echoSeen.get(key) || []).filter(
+    (ts) => now - ts < WEBRCON_DEDUP_MS,
+  );
+  if (seen.length) {
+    seen.shift(); // stdout already carried this one
+    if (seen.length) echoSeen.set(key, seen);
+    else echoSeen.delete(key);
+    return;
+  }
+  echoSeen.delete(key);
+  const timer = setTimeout(() => {
+    const held = echoHeld.get(key) || [];
+    held.splice(held.indexOf(timer), 1);
+    if (!held.length) echoHeld.delete(key);
+    show();
+  }, WEBRCON_DEDUP_MS);
+  if (!echoHeld.has(key)) echoHeld.set(key, []);
+  echoHeld.get(key).push(timer);
+}
+
+bus.on("game.start", () => {
+  stdoutLive = false;
+});
+bus.on("chat", ({ name, message }) =>
+  noteStdoutEcho(echoKey(`chat|${name}|${message}`)),
+);
+
+// Unsolicited messages: console broadcast, chat, warnings and errors
+function printWebBroadcast(type, message) {
+  if (type === "Chat") {
+    let chat = null;
+    try {
+      chat = JSON.parse(message);
+    } catch {}
+    const text =
+      chat && typeof chat.Message === "string"
+        ? `${chat.Username || chat.UserId || "?"}: ${chat.Message}`
+        : message;
+    const key =
+      chat && typeof chat.Message === "string"
+        ? echoKey(`chat|${chat.Username}|${cleanWebText(chat.Message)}`)
+        : "";
+    echoOrHold(key, () => {
+      jsonLog("rcon", false, cleanWebText(text));
+      const out = `${C.dim}${hhmm()}${C.reset} [chat] ${cleanWebText(text)}`;
+      mirrorWrite(false, `${C.fg.white}${out}${C.reset}\n`);
+    });
+    return;
+  }
+
+  if (WEBRCON_ECHO === "replies" && stdoutLive) return;
+
+  const [label, color] =
+    type === "Error"
+      ? ["[rcon:error]", C.fg.red]
+      : type === "Warning"
+        ? ["[rcon:warn]", C.fg.yellow]
+        : ["[rcon:log]", C.dim];
+
+  for (const ln of cleanWebText(message).split(/\r?\n/)) {
+    const trimmed = ln.trim();
+    if (!trimmed) continue;
+
+    // "all" keeps the old behaviour: only "[oxide]" lines are skipped
+    if (WEBRCON_ECHO === "all" && trimmed.startsWith("[oxide]")) continue;
+
+    echoOrHold(echoKey(ln), () => {
+      jsonLog("rcon", type === "Error", ln);
+      mirrorWrite(false, `${color}${hhmm()} ${label} ${ln}${C.reset}\n`);
+    });
+  }
+}
+
+// Resolves with the reply (legacy or WebRCON per RCON_MODE); opts.quiet
+// skips printing it (watchdog probes).
+function sendRconOnce(cmdTxt, opts) {
+  if (!RCON_PASS || !cmdTxt.trim()) return Promise.resolve("");
+  return rcon.send(cmdTxt, { quiet: false, ...opts });
+}
+
+// ---------- stack dumps ----------
+// Every capture is written to STACK_DUMP_DIR/stack-<UTC stamp>.txt: a "#"
+// summary header (pid, uptime, threads, most common top frames and, with
+// several samples, threads that were not waiting) followed by the raw gdb
+// output of each sample. `.stack core` writes a gcore core file next to them.
+const GDB_TIMEOUT_MS = 60000;
+const GCORE_TIMEOUT_MS = 600000;
+const MAX_STACK_SAMPLES = 20;
+const WAIT_FRAME_RE =
+  /wait|futex|poll|select|sleep|accept|recv|__libc_read|sigtimedwait|pause/i;
+
+const dumpStamp = (ms = Date.now()) =>
+  new Date(ms)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace("T", "-")
+    .slice(0, 15);
+
+// <kind>-YYYYMMDD-HHMMSS[-n]<ext> that doesn't exist yet
+function dumpPath(kind, ext) {
+  const stamp = dumpStamp();
+  for (let n = 0; ; n++) {
+    const file = path.join(
+      STACK_DUMP_DIR,
+      `${kind}-${stamp}${n ? `-${n}` : ""}${ext}`,
+    );
+    if (!fs.existsSync(file)) return file;
+  }
+}
+
+function runGdbBacktrace(pid) {
+  return new Promise((resolve) => {
+    let text = "";
+    let settled = false;
+    const done = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ text, error });
+    };
+    const gdb = spawn(
+      "gdb",
+      ["-batch", "-ex", "thread apply all bt", "-p", String(pid)],
+      { stdio: ["ignore", "pipe", "pipe"] },
+    );
+    const timer = setTimeout(() => {
+      try {
+        gdb.kill("SIGKILL");
+      } catch {}
+    }, GDB_TIMEOUT_MS);
+    gdb.stdout.on("data", (d) => (text += d));
+    gdb.stderr.on("data", (d) => (text += d));
+    gdb.on("error", (e) => done(e.message));
+    gdb.on("exit", (code, signal) =>
+      done(
+        signal
+          ? `gdb killed (${signal})`
+          : /^Thread \d+ /m.test(text)
+            ? null
+            : `gdb exited with code ${code} and no threads`,
+      ),
+    );
+  });
+}
+
+// Thread N (LWP x "name"): -> { title, frames: [fn, ...] } (first 3 frames)
+function parseBacktrace(text) {
+  const threads = [];
+  let cur = null;
+  for (const ln of text.split("\n")) {
+    const t = /^Thread \d+ \((.*)\):$/.exec(ln);
+    if (t) {
+      const lwp = /LWP (\d+)/.exec(t[1]);
+      cur = { title: ln.slice(0, -1), lwp: lwp ? lwp[1] : t[1], frames: [] };
+      threads.push(cur);
+      continue;
+    }
+    const f = /^#(\d+)\s+(?:0x[0-9a-f]+ in )?([^\s(]+)/.exec(ln);
+    if (cur && f && cur.frames.length < 3) cur.frames.push(f[2]);
+  }
+  return threads;
+}
+
+function stackSummary(pid, reason, samples, intervalMs) {
+  const top = new Map(); // top frame -> count over all samples
+  const perThread = new Map(); // lwp -> { title, busy, stacks: [] }
+  for (const sample of samples) {
+    for (const th of sample.threads) {
+      const fn = th.frames[0] || "??";
+      top.set(fn, (top.get(fn) || 0) + 1);
+      if (!perThread.has(th.lwp)) {
+        perThread.set(th.lwp, { title: th.title, busy: 0, stacks: [] });
+      }
+      const pt = perThread.get(th.lwp);
+      if (!WAIT_FRAME_RE.test(fn)) pt.busy++;
+      pt.stacks.push(th.frames.join(" <- ") || "??");
+    }
+  }
+
+  const threadCount = samples[samples.length - 1].threads.length;
+  const lines = [
+    `RustDedicated stack dump (${reason})`,
+    `pid ${pid}, uptime ${
+      gameRunning ? formatDuration(Date.now() - gameStartedAt) : "?"
+    }, ${threadCount} threads, ${samples.length} sample(s)${
+      samples.length > 1 ? ` ${intervalMs}ms apart` : ""
+    }`,
+    `captured ${new Date().toISOString()}`,
+    "top frames:",
+    ...[...top]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([fn, n]) => `  ${String(n).padStart(4)}  ${fn}`),
+  ];
+  if (samples.length > 1) {
+    const busy = [...perThread.values()].filter(
+      (pt) => pt.busy * 2 >= samples.length,
+    );
+    lines.push(
+      `busy threads (not waiting in >= half the samples): ${busy.length}`,
+    );
+    for (const pt of busy.slice(0, 20)) {
+      lines.push(`  ${pt.title}`);
+      for (const st of new Set(pt.stacks)) lines.push(`      ${st}`);
+    }
+  }
+  return lines;
+}
+
+// Resolves { file, summary } or { error }; never rejects. One at a time:
+// gdb can't attach to a process that is already being traced.
+let stackCaptureBusy = false;
+
+function captureStack(pid, reason, { samples = 1, intervalMs = 1000 } = {}) {
+  if (stackCaptureBusy) {
+    return Promise.resolve({ error: "another capture is still running" });
+  }
+  stackCaptureBusy = true;
+  const taken = [];
+  const takeSample = () =>
+    runGdbBacktrace(pid).then(({ text, error }) => {
+      if (error) return { error };
+      taken.push({
+        at: new Date().toISOString(),
+        text,
+        threads: parseBacktrace(text),
+      });
+      if (taken.length >= samples) return null;
+      return new Promise((r) => setTimeout(r, intervalMs)).then(takeSample);
+    });
+
+  return takeSample().then((res) => {
+    stackCaptureBusy = false;
+    if (res && res.error && !taken.length) return { error: res.error };
+    const summary = stackSummary(pid, reason, taken, intervalMs);
+    const body = taken
+      .map(
+        (sm, i) =>
+          `\n==== sample ${i + 1}/${taken.length} at ${sm.at} ====\n${sm.text}`,
+      )
+      .join("");
+    let file;
+    try {
+      fs.mkdirSync(STACK_DUMP_DIR, { recursive: true });
+      file = dumpPath("stack", ".txt");
+      fs.writeFileSync(
+        file,
+        summary.map((l) => `# ${l}`).join("\n") + "\n" + body,
+      );
+    } catch (e) {
+      return { error: e.message };
+    }
+    if (STACK_DUMP_KEEP > 0) pruneDumps(STACK_DUMP_KEEP, true);
+    return { file, summary };
+  });
+}
+
+// gcore writes <prefix>.<pid>; it pauses the process for the whole dump
+function captureCore(pid) {
+  const st = readProcStats(pid);
+  if (st && typeof fs.statfsSync === "function") {
+    try {
+      fs.mkdirSync(STACK_DUMP_DIR, { recursive: true });
+      const fsInfo = fs.statfsSync(STACK_DUMP_DIR);
+      const free = fsInfo.bavail * fsInfo.bsize;
+      if (free < st.rssBytes * 1.2) {
+        return Promise.resolve({
+          error: `not enough disk: ${Math.round(free / 1048576)}MB free, process uses ${Math.round(st.rssBytes / 1048576)}MB`,
+        });
+      }
+    } catch {}
+  }
+  if (stackCaptureBusy) {
+    return Promise.resolve({ error: "another capture is still running" });
+  }
+  stackCaptureBusy = true;
+  const prefix = path.join(STACK_DUMP_DIR, `core-${dumpStamp()}`);
+  return new Promise((resolve) => {
+    let errText = "";
+    let settled = false;
+    const done = (r) => {
+      if (settled) return;
+      settled = true;
+      stackCaptureBusy = false;
+      clearTimeout(timer);
+      resolve(r);
+    };
+    const gc = spawn("gcore", ["-o", prefix, String(pid)], {
+      stdio: ["ignore", "ignore", "pipe"],
+    });
+    const timer = setTimeout(() => {
+      try {
+        gc.kill("SIGKILL");
+      } catch {}
+    }, GCORE_TIMEOUT_MS);
+    gc.stderr.on("data", (d) => (errText += d));
+    gc.on("error", (e) => done({ error: e.message }));
+    gc.on("exit", (code) => {
+      const file = `${prefix}.${pid}`;
+      if (code === 0 && fs.existsSync(file)) return done({ file });
+      done({ error: errText.trim().split("\n").pop() || `gcore exit ${code}` });
+    });
+  });
+}
+
+function listDumps() {
+  let names;
+  try {
+    names = fs.readdirSync(STACK_DUMP_DIR);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const name of names) {
+    if (!/^(stack|core)-\d{8}-\d{6}/.test(name)) continue;
+    try {
+      const st = fs.statSync(path.join(STACK_DUMP_DIR, name));
+      out.push({ name, size: st.size, mtimeMs: st.mtimeMs });
+    } catch {}
+  }
+  return out.sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+// Keeps the newest `keep` dumps of each kind, so a run of stack captures
+// can't push out a core; returns how many were removed
+function pruneDumps(keep, quiet = false) {
+  const kept = { stack: 0, core: 0 };
+  let removed = 0;
+  for (const d of listDumps()) {
+    if (++kept[d.name.slice(0, d.name.indexOf("-"))] <= keep) continue;
+    try {
+      fs.unlinkSync(path.join(STACK_DUMP_DIR, d.name));
+      removed++;
+    } catch {}
+  }
+  if (removed && !quiet) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [dumps] removed ${removed} old dump(s)\n`,
+    );
+  }
+  return removed;
+}
+
+// .stack | .stack <n> [interval_sec] | .stack core
+function handleStackCommand(rest) {
+  const rustPid = resolveGamePid();
+  if (!rustPid) {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [stack] could not resolve RustDedicated PID (is the server running?)${C.reset}\n`,
+    );
+    return;
+  }
+
+  const parts = rest.split(/\s+/).filter(Boolean);
+  if ((parts[0] || "").toLowerCase() === "core") {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [stack] gcore on pid ${rustPid}; the server is paused until it finishes${C.reset}\n`,
+    );
+    captureCore(rustPid).then((r) =>
+      process.stdout.write(
+        r.error
+          ? `${C.fg.red}${hhmm()} [stack] core dump failed: ${r.error}${C.reset}\n`
+          : `${C.dim}${hhmm()}${C.reset} [stack] core saved to ${r.file}\n`,
+      ),
+    );
+    return;
+  }
+
+  const samples = parts.length ? parseInt(parts[0], 10) : 1;
+  const intervalSec = parts.length > 1 ? parseFloat(parts[1]) : 1;
+  if (!(samples >= 1 && samples <= MAX_STACK_SAMPLES) || !(intervalSec >= 0)) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [stack] use: .stack [samples 1-${MAX_STACK_SAMPLES}] [interval_sec] | .stack core\n`,
+    );
+    return;
+  }
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [stack] gdb backtrace on pid ${rustPid}${
+      samples > 1 ? ` x${samples}, ${intervalSec}s apart` : ""
+    }\n`,
+  );
+  captureStack(rustPid, "manual .stack", {
+    samples,
+    intervalMs: Math.round(intervalSec * 1000),
+  }).then((r) => {
+    if (r.error) {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [stack] ${r.error}${C.reset}\n`,
+      );
+      return;
+    }
+    for (const ln of r.summary) {
+      process.stdout.write(`${C.dim}${hhmm()}${C.reset} [stack] ${ln}\n`);
+    }
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [stack] saved to ${r.file}\n`,
+    );
+  });
+}
+
+// .dumps | .dumps prune [keep]
+function handleDumpsCommand(rest) {
+  const parts = rest.split(/\s+/).filter(Boolean);
+  const sub = (parts[0] || "").toLowerCase();
+  if (sub === "prune") {
+    if (parts[1] === undefined && STACK_DUMP_KEEP === 0) {
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [dumps] STACK_DUMP_KEEP=0 keeps every dump; use .dumps prune <keep>\n`,
+      );
+      return;
+    }
+    const keep =
+      parts[1] !== undefined ? parseInt(parts[1], 10) : STACK_DUMP_KEEP;
+    if (!(keep >= 0)) {
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [dumps] use: .dumps prune [keep]\n`,
+      );
+      return;
+    }
+    if (!pruneDumps(keep)) {
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [dumps] nothing to prune (keeping ${keep})\n`,
+      );
+    }
+    return;
+  }
+  if (sub) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [dumps] use: .dumps | .dumps prune [keep]\n`,
+    );
+    return;
+  }
+
+  const dumps = listDumps();
+  if (!dumps.length) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [dumps] none in ${STACK_DUMP_DIR}\n`,
+    );
+    return;
+  }
+  for (const d of dumps) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [dumps] ${d.name}  ${formatSize(
+        d.size,
+      )}  ${formatDuration(Date.now() - d.mtimeMs)} ago\n`,
+    );
+  }
+}
+
+// ---------- scheduled restarts ----------
+// Send a command the way "auto" routes it: RCON when configured (falling
+// back to STDIN if RCON is down), otherwise straight to STDIN.
+function writeGameStdin(cmdTxt) {
+  if (!gameRunning) return false;
+  try {
+    game.stdin.write(cmdTxt + "\n");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sendGameCommand(cmdTxt) {
+  if (RCON_PASS) {
+    return sendRconOnce(cmdTxt).catch((e) =>
+      e.code === "RCON_TIMEOUT" ? "" : writeGameStdin(cmdTxt),
+    );
+  }
+  return Promise.resolve(writeGameStdin(cmdTxt));
+}
+
+function parseDailyTimes(spec) {
+  const out = [];
+  for (const part of spec.split(/[\s,]+/)) {
+    if (!part) continue;
+    const m = /^(\d{1,2}):(\d{2})$/.exec(part);
+    if (!m || +m[1] > 23 || +m[2] > 59) {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [restart] ignoring bad time "${part}" (want HH:MM)${C.reset}\n`,
+      );
+      continue;
+    }
+    out.push({ h: +m[1], m: +m[2] });
+  }
+  return out;
+}
+
+function nextDailyTime(times, tz, after) {
+  if (!times.length) return null;
+  const today = zonedParts(after, tz);
+  for (let add = 0; add < 3; add++) {
+    const day = new Date(
+      Date.UTC(today.year, today.month - 1, today.day + add),
+    );
+    let best = null;
+    for (const { h, m } of times) {
+      const t = zonedToEpoch(
+        day.getUTCFullYear(),
+        day.getUTCMonth() + 1,
+        day.getUTCDate(),
+        h,
+        m,
+        tz,
+      );
+      if (t > after && (best === null || t < best)) best = t;
+    }
+    if (best !== null) return best;
+  }
+  return null;
+}
+
+const restartTz = resolveTimeZone(RESTART_TZ, "restart");
+const restartTimes = parseDailyTimes(RESTART_TIMES);
+const restartWarnings = RESTART_WARN_MIN.split(/[\s,]+/)
+  .map((v) => parseFloat(v))
+  .filter((v) => Number.isFinite(v) && v > 0)
+  .sort((a, b) => b - a);
+
+// setTimeout overflows past ~24.8 days; longer waits re-arm in steps
+const MAX_TIMER_MS = 0x7fffffff;
+
+const restartState = {
+  at: 0, // epoch ms of the pending restart (0 = none)
+  reason: "",
+  timers: [],
+  inProgress: false, // save/quit sequence running
+  relaunch: false, // next game exit is ours; relaunch instead of exiting
+  beforeRelaunch: null, // () => Promise, run while the server is down (wipes)
+};
+
+function nextScheduledRestart(after) {
+  let next = nextDailyTime(restartTimes, restartTz, after);
+  if (RESTART_INTERVAL_MIN > 0) {
+    const step = RESTART_INTERVAL_MIN * 60000;
+    let t = gameStartedAt + step;
+    while (t <= after) t += step;
+    if (next === null || t < next) next = t;
+  }
+  return next;
+}
+
+function cancelRestart() {
+  for (const t of restartState.timers) clearTimeout(t);
+  restartState.timers = [];
+  restartState.at = 0;
+  restartState.reason = "";
+}
+
+function announceRestart(leftMs) {
+  const msg = RESTART_WARN_CMD.replace(/\{time\}/g, formatDuration(leftMs));
+  process.stdout.write(`${C.dim}${hhmm()}${C.reset} [restart] ${msg}\n`);
+  sendGameCommand(msg).catch(() => {});
+}
+
+function scheduleRestart(at, reason, announceNow = false) {
+  cancelRestart();
+  const now = Date.now();
+  restartState.at = at;
+  restartState.reason = reason;
+
+  const arm = (fn, delay) => {
+    const t = setTimeout(fn, Math.max(0, delay));
+    t.unref();
+    restartState.timers.push(t);
+  };
+
+  if (at - now > MAX_TIMER_MS) {
+    arm(() => scheduleRestart(at, reason), MAX_TIMER_MS);
+  } else {
+    for (const min of restartWarnings) {
+      const when = at - min * 60000;
+      if (when > now) arm(() => announceRestart(at - Date.now()), when - now);
+    }
+    arm(() => performRestart(reason), at - now);
+    if (announceNow && at - now >= 60000) announceRestart(at - now);
+  }
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [restart] ${reason} restart at ${formatZoned(
+      at,
+      restartTz,
+    )} (in ${formatDuration(at - now)})\n`,
+  );
+}
+
+function armNextScheduledRestart(after = Date.now()) {
+  const next = nextScheduledRestart(after);
+  if (next) scheduleRestart(next, "scheduled");
+}
+
+function performRestart(reason) {
+  if (restartState.inProgress || stopping) return;
+  cancelRestart();
+  if (!gameRunning) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [restart] server is not running${C.reset}\n`,
+    );
+    // keep the schedule going for when it is back
+    armNextScheduledRestart();
+    return;
+  }
+
+  restartState.inProgress = true;
+  restartState.relaunch = true;
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [restart] restarting (${reason})\n`,
+  );
+  stopGame({
+    tag: "restart",
+    saveWaitSec: RESTART_SAVE_WAIT_SEC,
+    termAfterSec: RESTART_SAVE_WAIT_SEC + RESTART_QUIT_TIMEOUT_SEC,
+  });
+}
+
+// Called from onGameExit when the exit was one we asked for. A signal that
+// arrives during the beforeRelaunch step ends the wrapper once it is done; a
+// step that fails is logged and the server comes back regardless.
+function finishRestart() {
+  const before = restartState.beforeRelaunch;
+  restartState.beforeRelaunch = null;
+  Promise.resolve()
+    .then(() => before && before())
+    .catch((e) => {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [restart] pre-relaunch step failed: ${e.message}; relaunching anyway${C.reset}\n`,
+      );
+    })
+    .then(() => {
+      restartState.inProgress = false;
+      restartState.relaunch = false;
+      if (stopping) {
+        exitWrapper(0);
+        return;
+      }
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [restart] relaunching ${executable}\n`,
+      );
+      spawnGame();
+      armNextScheduledRestart();
+    });
+}
+
+function handleRestartCommand(rest) {
+  const parts = rest.split(/\s+/).filter(Boolean);
+  const sub = (parts[0] || "").toLowerCase();
+
+  if (!sub || sub === "now") {
+    performRestart("manual");
+  } else if (sub === "in" && parts[1] !== undefined) {
+    const min = parseFloat(parts[1]);
+    if (!Number.isFinite(min) || min < 0) {
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [restart] minutes must be a number >= 0\n`,
+      );
+    } else if (restartState.inProgress) {
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [restart] already restarting\n`,
+      );
+    } else {
+      scheduleRestart(Date.now() + min * 60000, "manual", true);
+    }
+  } else if (sub === "cancel") {
+    if (!restartState.at) {
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [restart] nothing pending\n`,
+      );
+    } else {
+      const was = restartState.at;
+      cancelRestart();
+      process.stdout.write(`${C.dim}${hhmm()}${C.reset} [restart] cancelled\n`);
+      armNextScheduledRestart(was);
+    }
+  } else if (sub === "status") {
+    const pending = restartState.inProgress
+      ? "in progress"
+      : restartState.at
+        ? `${restartState.reason} at ${formatZoned(
+            restartState.at,
+            restartTz,
+          )} (in ${formatDuration(restartState.at - Date.now())})`
+        : "none";
+    const times = restartTimes
+      .map(
+        (t) =>
+          `${String(t.h).padStart(2, "0")}:${String(t.m).padStart(2, "0")}`,
+      )
+      .join(",");
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [restart] pending: ${pending}; times=${
+        times || "off"
+      } interval=${
+        RESTART_INTERVAL_MIN > 0 ? `${RESTART_INTERVAL_MIN}m` : "off"
+      } tz=${restartTz} warnings=${restartWarnings.join(",") || "none"}m\n`,
+    );
+  } else {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [restart] use: .restart [now] | in <minutes> | cancel | status\n`,
+    );
+  }
+}
+
+armNextScheduledRestart();
+
+// ---------- graceful stop sequence ----------
+// [warn] -> server.save -> wait for the "Saved" event (<= saveWaitSec) -> quit
+// -> TERM at termAfterSec (never sooner than QUIT_MIN_GRACE_MS after quit)
+// -> KILL SHUTDOWN_KILL_SEC after that. Used by shutdown and restarts.
+// With deadlineSec every step is pulled in so that KILL lands by the deadline:
+// the warning gets the first quarter of the time before TERM, the save wait
+// runs to three quarters, and KILL keeps up to half the budget (at most
+// SHUTDOWN_KILL_SEC) after TERM. stopGame on a sequence that is already
+// running only hurries it toward the new deadline.
+const QUIT_MIN_GRACE_MS = 10000;
+const stopSeq = { target: null, timers: [], onSaved: null, hurry: null };
+
+// Under `script` game.pid is the PTY helper; signal RustDedicated as well so
+// a KILL can't leave it orphaned.
+function killGame(sig) {
+  const pids = new Set([game.pid]);
+  const rustPid = resolveGamePid();
+  if (rustPid) pids.add(rustPid);
+  for (const pid of pids) {
+    try {
+      process.kill(pid, sig);
+    } catch {}
+  }
+}
+
+function clearStopSequence() {
+  for (const t of stopSeq.timers) clearTimeout(t);
+  stopSeq.timers = [];
+  if (stopSeq.onSaved) bus.off("save.finish", stopSeq.onSaved);
+  stopSeq.onSaved = null;
+  stopSeq.target = null;
+  stopSeq.hurry = null;
+}
+
+function stopGame({
+  tag,
+  warnCmd = "",
+  warnSec = 0,
+  saveWaitSec,
+  termAfterSec,
+  deadlineSec,
+}) {
+  if (!gameRunning) return;
+  if (stopSeq.target === game) {
+    if (deadlineSec !== undefined) stopSeq.hurry(tag, deadlineSec);
+    return;
+  }
+  const target = game;
+  const startedAt = Date.now();
+  stopSeq.target = target;
+
+  // the pending step: when it is due on its own, and what it does then
+  const step = { name: "", due: 0, since: 0, fn: null };
+  let budget = null; // { from, to } once a deadline applies
+
+  const latest = (name) => {
+    if (!budget) return Infinity;
+    const span = budget.to - budget.from;
+    const termAt = budget.to - Math.min(SHUTDOWN_KILL_SEC * 1000, span / 2);
+    const lead = termAt - budget.from;
+    if (name === "warn") return budget.from + lead / 4;
+    if (name === "save") return budget.from + (lead * 3) / 4;
+    if (name === "term") return termAt;
+    return budget.to;
+  };
+  const arm = () => {
+    for (const t of stopSeq.timers) clearTimeout(t);
+    const at = Math.min(step.due, latest(step.name));
+    stopSeq.timers = [
+      setTimeout(
+        () => {
+          if (target === game && gameRunning) step.fn();
+        },
+        Math.max(0, at - Date.now()),
+      ),
+    ];
+  };
+  const next = (name, dueMs, fn) => {
+    Object.assign(step, {
+      name,
+      due: Date.now() + dueMs,
+      since: Date.now(),
+      fn,
+    });
+    arm();
+  };
+  const secsSince = (t) => Math.round((Date.now() - t) / 1000);
+  const note = (msg) =>
+    process.stdout.write(`${C.dim}${hhmm()}${C.reset} [${tag}] ${msg}\n`);
+
+  const escalate = () => {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [${tag}] still running after ${secsSince(
+        startedAt,
+      )}s; sending TERM${C.reset}\n`,
+    );
+    killGame("SIGTERM");
+    next("kill", SHUTDOWN_KILL_SEC * 1000, () => {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [${tag}] no exit ${secsSince(
+          step.since,
+        )}s after TERM; sending KILL${C.reset}\n`,
+      );
+      killGame("SIGKILL");
+    });
+  };
+
+  const quit = () => {
+    note("quit");
+    quitRequested = true;
+    sendGameCommand("quit").catch(() => {});
+    const termAt = Math.max(
+      startedAt + termAfterSec * 1000,
+      Date.now() + QUIT_MIN_GRACE_MS,
+    );
+    next("term", termAt - Date.now(), escalate);
+  };
+
+  const save = () => {
+    note("server.save");
+    let waiting = true;
+    const saved = (why) => {
+      if (!waiting) return;
+      waiting = false;
+      bus.off("save.finish", onSaved);
+      stopSeq.onSaved = null;
+      if (why) note(why);
+      quit();
+    };
+    const onSaved = () => saved("save complete");
+    stopSeq.onSaved = onSaved;
+    bus.on("save.finish", onSaved);
+    sendGameCommand("server.save").catch((e) =>
+      saved(`server.save failed (${e.message}); quitting`),
+    );
+    next("save", saveWaitSec * 1000, () => {
+      if (!waiting) return;
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [${tag}] no save confirmation after ${secsSince(
+          step.since,
+        )}s; quitting anyway${C.reset}\n`,
+      );
+      saved();
+    });
+  };
+
+  stopSeq.hurry = (by, sec) => {
+    const to = Date.now() + sec * 1000;
+    if (budget && budget.to <= to) return;
+    budget = { from: Date.now(), to };
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [${by}] ${tag} already stopping the server; finishing it within ${sec}s\n`,
+    );
+    arm();
+  };
+  if (deadlineSec !== undefined) {
+    budget = { from: startedAt, to: startedAt + deadlineSec * 1000 };
+  }
+
+  if (warnCmd) {
+    note(`warning players: ${warnCmd}`);
+    sendGameCommand(warnCmd).catch(() => {});
+    next("warn", warnSec * 1000, save);
+  } else {
+    save();
+  }
+}
+
+// ---------- backups ----------
+// BACKUP_DIR/<kind>-<UTC stamp>.tar.gz holds server/<identity> and the
+// Oxide/Carbon data and config folders, stored relative to SERVER_ROOT. Kinds:
+// backup (".backup now" / schedule), wipe-map|full, pre-restore. A live
+// server is saved first and nothing is archived unless the "Saved" line shows
+// up within BACKUP_SAVE_WAIT_SEC, so a half-written save is never copied.
+// Restores replace the archived folders and only run while the game is down.
+const serverIdentity =
+  argValue(params, "+server.identity") || "my_server_identity";
+const identityDir = path.join(SERVER_ROOT, "server", serverIdentity);
+
+const BACKUP_DATA_DIRS = [
+  "oxide/data",
+  "oxide/config",
+  "carbon/data",
+  "carbon/configs",
+];
+const BACKUP_NAME_RE = /^([a-z][\w-]*?)-(\d{8}-\d{6})(?:-\d+)?\.tar\.gz$/;
+
+const backupTz = resolveTimeZone(BACKUP_TZ, "backup");
+const backupTimes = parseDailyTimes(BACKUP_TIMES);
+
+const backupState = {
+  busy: "", // "backup" | "restore" while one runs (or a restore waits)
+  at: 0, // next scheduled backup (0 = none)
+  timer: null,
+  since: Date.now(), // BACKUP_INTERVAL_MIN counts from here
+  last: "", // outcome of the last backup/restore, for .backup status
+};
+
+const backupSay = (msg) =>
+  process.stdout.write(`${C.dim}${hhmm()}${C.reset} [backup] ${msg}\n`);
+const backupWarn = (msg) =>
+  process.stdout.write(`${C.fg.red}${hhmm()} [backup] ${msg}${C.reset}\n`);
+
+// Folders under SERVER_ROOT that exist and belong in a backup
+const backupPaths = () =>
+  [path.join("server", serverIdentity), ...BACKUP_DATA_DIRS].filter((p) =>
+    fs.existsSync(path.join(SERVER_ROOT, p)),
+  );
+
+// -> Promise of tar's stdout; rejects with its last stderr line
+function runTar(args) {
+  return new Promise((resolve, reject) => {
+    const tar = spawn("tar", args, { stdio: ["ignore", "pipe", "pipe"] });
+    let out = "";
+    let err = "";
+    tar.stdout.on("data", (d) => (out += d));
+    tar.stderr.on("data", (d) => (err += d));
+    tar.on("error", reject);
+    tar.on("close", (code) => {
+      if (code === 0) resolve(out);
+      else
+        reject(new Error(err.trim().split("\n").pop() || `tar exited ${code}`));
+    });
+  });
+}
+
+// tar.gz of backupPaths() -> Promise of the file. Written to .part first so
+// a listing never shows a half-written archive.
+function writeBackup(kind) {
+  let part = "";
+  // everything that touches BACKUP_DIR stays inside the chain: callers such
+  // as wipes run from the game's exit handler and must get a rejection
+  return Promise.resolve()
+    .then(() => {
+      const paths = backupPaths();
+      if (!paths.length) {
+        throw new Error(`nothing to back up in ${SERVER_ROOT}`);
+      }
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+      const stamp = dumpStamp();
+      let file;
+      for (let n = 0; !file || fs.existsSync(file); n++) {
+        file = path.join(
+          BACKUP_DIR,
+          `${kind}-${stamp}${n ? `-${n}` : ""}.tar.gz`,
+        );
+      }
+      part = `${file}.part`;
+      return runTar(["-czf", part, "-C", SERVER_ROOT, ...paths]).then(() => {
+        fs.renameSync(part, file);
+        return file;
+      });
+    })
+    .catch((e) => {
+      if (part) fs.rmSync(part, { force: true });
+      throw e;
+    });
+}
+
+// -> [{ id, kind, file, size, mtimeMs }], newest first
+function listBackups() {
+  let names;
+  try {
+    names = fs.readdirSync(BACKUP_DIR);
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const name of names) {
+    const m = BACKUP_NAME_RE.exec(name);
+    if (!m) continue;
+    try {
+      const file = path.join(BACKUP_DIR, name);
+      const st = fs.statSync(file);
+      out.push({
+        id: name.slice(0, -".tar.gz".length),
+        kind: m[1],
+        file,
+        size: st.size,
+        mtimeMs: st.mtimeMs,
+      });
+    } catch {}
+  }
+  return out.sort((a, b) => b.mtimeMs - a.mtimeMs || (a.id < b.id ? 1 : -1));
+}
+
+// BACKUP_KEEP newest of each kind, none older than BACKUP_KEEP_DAYS
+function pruneBackups() {
+  const seen = {};
+  const now = Date.now();
+  let removed = 0;
+  for (const b of listBackups()) {
+    seen[b.kind] = (seen[b.kind] || 0) + 1;
+    const drop =
+      (BACKUP_KEEP > 0 && seen[b.kind] > BACKUP_KEEP) ||
+      (BACKUP_KEEP_DAYS > 0 && now - b.mtimeMs > BACKUP_KEEP_DAYS * 86400000);
+    if (!drop) continue;
+    try {
+      fs.unlinkSync(b.file);
+      removed++;
+    } catch {}
+  }
+  if (removed) backupSay(`removed ${removed} old backup(s)`);
+}
+
+// server.save, then wait for the "Saved" event -> Promise
+function saveForBackup() {
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      clearTimeout(timer);
+      bus.off("save.finish", onSaved);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onSaved = () => done();
+    const timer = setTimeout(
+      () =>
+        done(new Error(`no save confirmation after ${BACKUP_SAVE_WAIT_SEC}s`)),
+      BACKUP_SAVE_WAIT_SEC * 1000,
+    );
+    bus.on("save.finish", onSaved);
+    sendGameCommand("server.save").then(
+      (sent) => sent === false && done(new Error("server.save not sent")),
+      (e) => done(new Error(`server.save failed: ${e.message}`)),
+    );
+  });
+}
+
+// -> Promise of the file, or null when skipped or failed
+function backupNow(reason) {
+  if (backupState.busy) {
+    backupSay(
+      `a ${backupState.busy} is already running; ${reason} backup skipped`,
+    );
+    return Promise.resolve(null);
+  }
+  if (restartState.inProgress || stopping) {
+    backupSay(`the server is stopping; ${reason} backup skipped`);
+    return Promise.resolve(null);
+  }
+  backupState.busy = "backup";
+  const live = gameRunning;
+  if (live) backupSay(`${reason} backup: saving the server first`);
+  return (live ? saveForBackup() : Promise.resolve())
+    .then(() => writeBackup("backup"))
+    .then(
+      (file) => {
+        const size = formatSize(fs.statSync(file).size);
+        backupSay(`${reason} backup: ${file} (${size})`);
+        backupState.last = `${path.basename(file)} (${size})`;
+        bus.emit("backup.done", { file, reason });
+        pruneBackups();
+        return file;
+      },
+      (e) => {
+        backupWarn(`${reason} backup failed: ${e.message}`);
+        backupState.last = `${reason} backup failed at ${formatZoned(
+          Date.now(),
+          backupTz,
+        )}: ${e.message}`;
+        return null;
+      },
+    )
+    .finally(() => (backupState.busy = ""));
+}
+
+function nextScheduledBackup(after) {
+  let next = nextDailyTime(backupTimes, backupTz, after);
+  if (BACKUP_INTERVAL_MIN > 0) {
+    const step = BACKUP_INTERVAL_MIN * 60000;
+    let t = backupState.since + step;
+    while (t <= after) t += step;
+    if (next === null || t < next) next = t;
+  }
+  return next;
+}
+
+function armNextScheduledBackup(after = Date.now()) {
+  clearTimeout(backupState.timer);
+  const at = nextScheduledBackup(after);
+  backupState.at = at || 0;
+  backupState.timer = null;
+  if (!at) return;
+  backupState.timer = setTimeout(
+    () => {
+      if (Date.now() < at) {
+        armNextScheduledBackup(at - 1); // waited MAX_TIMER_MS; keep going
+        return;
+      }
+      backupNow("scheduled").then(() => armNextScheduledBackup(at));
+    },
+    Math.min(at - Date.now(), MAX_TIMER_MS),
+  );
+  backupState.timer.unref();
+}
+
+// Top-level folders (relative to SERVER_ROOT) an archive would replace;
+// throws for anything that isn't one of our backups
+function backupRoots(listing) {
+  const roots = new Set();
+  for (const entry of listing.split("\n")) {
+    if (!entry) continue;
+    const parts = entry.replace(/^\.\//, "").split("/").filter(Boolean);
+    const root = parts.slice(0, 2).join("/");
+    if (
+      entry.startsWith("/") ||
+      parts.includes("..") ||
+      parts.length < 2 ||
+      !(parts[0] === "server" || BACKUP_DATA_DIRS.includes(root))
+    ) {
+      throw new Error(`unexpected entry "${entry}"; not a wrapper backup`);
+    }
+    roots.add(root);
+  }
+  if (!roots.size) throw new Error("the archive is empty");
+  return [...roots];
+}
+
+// Runs with the game down: safety backup, then swap the folders in
+function runRestore(b) {
+  backupState.busy = "restore";
+  backupSay(`restoring ${b.id}`);
+  let safety = null;
+  return runTar(["-tzf", b.file])
+    .then((listing) => {
+      const roots = backupRoots(listing);
+      return (
+        backupPaths().length
+          ? writeBackup("pre-restore")
+          : Promise.resolve(null)
+      )
+        .then((file) => {
+          safety = file;
+          if (file) backupSay(`current files saved to ${file}`);
+          for (const r of roots) {
+            fs.rmSync(path.join(SERVER_ROOT, r), {
+              recursive: true,
+              force: true,
+            });
+          }
+          return runTar(["-xzf", b.file, "-C", SERVER_ROOT]);
+        })
+        .then(() => roots);
+    })
+    .then(
+      (roots) => {
+        backupSay(`restored ${roots.join(", ")} from ${b.id}`);
+        backupState.last = `restored ${b.id}`;
+        bus.emit("backup.restored", { file: b.file, roots });
+      },
+      (e) => {
+        backupWarn(
+          `restore of ${b.id} failed: ${e.message}${
+            safety ? `; the files from before are in ${safety}` : ""
+          }`,
+        );
+        backupState.last = `restore of ${b.id} failed: ${e.message}`;
+      },
+    )
+    .finally(() => (backupState.busy = ""));
+}
+
+function restoreBackup(id, restart) {
+  const b = listBackups().find((x) => x.id === id || `${x.id}.tar.gz` === id);
+  if (!b) {
+    backupSay(`no backup "${id}" in ${BACKUP_DIR} (see .backup list)`);
+    return;
+  }
+  if (backupState.busy) {
+    backupSay(`a ${backupState.busy} is already running`);
+    return;
+  }
+  if (restartState.inProgress || stopping) {
+    backupSay("the server is stopping; try again once it is done");
+    return;
+  }
+
+  if (gameRunning) {
+    if (!restart) {
+      backupSay(
+        `restores only run while the server is stopped; ".backup restore ${b.id} --restart" stops it, restores and relaunches`,
+      );
+      return;
+    }
+    // restore in the gap of a restart, like a wipe
+    backupState.busy = "restore";
+    cancelRestart();
+    restartState.inProgress = true;
+    restartState.relaunch = true;
+    restartState.beforeRelaunch = () => runRestore(b);
+    backupSay(`stopping the server to restore ${b.id}`);
+    stopGame({
+      tag: "restore",
+      saveWaitSec: RESTART_SAVE_WAIT_SEC,
+      termAfterSec: RESTART_SAVE_WAIT_SEC + RESTART_QUIT_TIMEOUT_SEC,
+    });
+    return;
+  }
+
+  // down between crash respawns: hold the respawn until the files are back
+  const respawn = !!supervisor.timer;
+  if (respawn) {
+    clearTimeout(supervisor.timer);
+    supervisor.timer = null;
+  }
+  runRestore(b).then(() => {
+    if (!respawn || stopping) return;
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [backup] relaunching ${executable}\n`,
+    );
+    spawnGame();
+    armNextScheduledRestart();
+  });
+}
+
+// .backup [list] | now | restore <id> [--restart] | status
+function handleBackupCommand(rest) {
+  const parts = rest.split(/\s+/).filter(Boolean);
+  const sub = (parts[0] || "list").toLowerCase();
+
+  if (sub === "now") {
+    backupNow("manual");
+  } else if (sub === "list") {
+    const backups = listBackups();
+    if (!backups.length) {
+      backupSay(`none in ${BACKUP_DIR}`);
+      return;
+    }
+    for (const b of backups) {
+      backupSay(
+        `${b.id}  ${formatSize(b.size)}  ${formatDuration(
+          Date.now() - b.mtimeMs,
+        )} ago`,
+      );
+    }
+  } else if (sub === "restore" && parts[1]) {
+    const flags = parts.slice(2);
+    if (flags.some((f) => f !== "--restart")) {
+      backupSay("use: .backup restore <id> [--restart]");
+      return;
+    }
+    restoreBackup(parts[1], flags.length > 0);
+  } else if (sub === "status") {
+    const times = backupTimes
+      .map(
+        (t) =>
+          `${String(t.h).padStart(2, "0")}:${String(t.m).padStart(2, "0")}`,
+      )
+      .join(",");
+    backupSay(
+      `${backupState.busy ? `${backupState.busy} running; ` : ""}next: ${
+        backupState.at
+          ? `${formatZoned(backupState.at, backupTz)} (in ${formatDuration(
+              backupState.at - Date.now(),
+            )})`
+          : "none"
+      }; times=${times || "off"} interval=${
+        BACKUP_INTERVAL_MIN > 0 ? `${BACKUP_INTERVAL_MIN}m` : "off"
+      } keep=${BACKUP_KEEP || "all"}/${
+        BACKUP_KEEP_DAYS ? `${BACKUP_KEEP_DAYS}d` : "any age"
+      } dir=${BACKUP_DIR}${backupState.last ? `; last: ${backupState.last}` : ""}`,
+    );
+  } else {
+    backupSay("use: .backup [list] | now | restore <id> [--restart] | status");
+  }
+}
+
+armNextScheduledBackup();
+
+// ---------- wipes ----------
+// ".wipe map|full" (or a WIPE_SCHEDULE entry) warns players, saves and stops
+// the server, writes a wipe-<kind> backup, deletes the wipe's file set in
+// server/<identity> and relaunches. A failed backup skips the delete.
+// Schedule entries are "<map|full> <first|second|third|fourth|last|every>
+// <weekday> HH:MM", comma separated; when two land on the same minute, full
+// wins.
+// Top-level files in the identity folder; .db patterns also catch -wal/-shm
+const WIPE_FILES = {
+  map: [
+    /\.map$/,
+    /\.sav(?:\.\d+)?$/,
+    /^sv\.files\.\d+\.db/,
+    /^player\.(?:deaths|identities|states|tokens)\.\d+\.db/,
+  ],
+  blueprints: [/^player\.blueprints\.\d+\.db/],
+};
+const wipeSets = (kind) =>
+  kind === "full"
+    ? [...WIPE_FILES.map, ...WIPE_FILES.blueprints]
+    : WIPE_FILES.map;
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WIPE_NTH = {
+  first: 1,
+  second: 2,
+  third: 3,
+  fourth: 4,
+  last: -1,
+  every: 0,
+};
+
+function parseWipeSchedule(spec) {
+  const out = [];
+  for (const part of spec.split(",")) {
+    const words = part.trim().toLowerCase().split(/\s+/);
+    if (!words[0]) continue;
+    const [kind, nth, day, time] = words;
+    const m = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+    const weekday = WEEKDAYS.indexOf((day || "").slice(0, 3));
+    if (
+      words.length !== 4 ||
+      !(kind === "map" || kind === "full") ||
+      !(nth in WIPE_NTH) ||
+      weekday === -1 ||
+      !m ||
+      +m[1] > 23 ||
+      +m[2] > 59
+    ) {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [wipe] ignoring bad schedule "${part.trim()}" (want e.g. "full first thu 19:00")${C.reset}\n`,
+      );
+      continue;
+    }
+    out.push({ kind, nth: WIPE_NTH[nth], weekday, h: +m[1], m: +m[2] });
+  }
+  return out;
+}
+
+// Days of month (y, mo) matching an entry's weekday and position
+function wipeDays(entry, y, mo) {
+  const last = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  const days = [];
+  for (let d = 1; d <= last; d++) {
+    if (new Date(Date.UTC(y, mo - 1, d)).getUTCDay() === entry.weekday) {
+      days.push(d);
+    }
+  }
+  if (entry.nth === 0) return days;
+  const d = entry.nth === -1 ? days[days.length - 1] : days[entry.nth - 1];
+  return d ? [d] : [];
+}
+
+// -> { at, kind } of the first schedule entry after `after`, or null
+function nextScheduledWipe(after) {
+  const today = zonedParts(after, wipeTz);
+  let best = null;
+  for (const entry of wipeSchedule) {
+    for (let add = 0; add < 13; add++) {
+      const first = new Date(Date.UTC(today.year, today.month - 1 + add, 1));
+      const y = first.getUTCFullYear();
+      const mo = first.getUTCMonth() + 1;
+      const at = wipeDays(entry, y, mo)
+        .map((d) => zonedToEpoch(y, mo, d, entry.h, entry.m, wipeTz))
+        .find((t) => t > after);
+      if (at === undefined) continue;
+      if (!best || at < best.at || (at === best.at && entry.kind === "full")) {
+        best = { at, kind: entry.kind };
+      }
+      break;
+    }
+  }
+  return best;
+}
+
+// "+90m" / "+2h", "HH:MM" (next one) or "YYYY-MM-DD HH:MM", in WIPE_TZ
+function parseWipeTime(text, now = Date.now()) {
+  let m = /^\+(\d+(?:\.\d+)?)([mh])$/.exec(text);
+  if (m) return now + parseFloat(m[1]) * (m[2] === "h" ? 3600000 : 60000);
+  m = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (m && +m[1] <= 23 && +m[2] <= 59) {
+    return nextDailyTime([{ h: +m[1], m: +m[2] }], wipeTz, now);
+  }
+  m = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})$/.exec(text);
+  if (m) {
+    const at = zonedToEpoch(+m[1], +m[2], +m[3], +m[4], +m[5], wipeTz);
+    return at > now ? at : null;
+  }
+  return null;
+}
+
+const wipeTz = resolveTimeZone(WIPE_TZ, "wipe");
+const wipeSchedule = parseWipeSchedule(WIPE_SCHEDULE);
+const wipeWarnings = WIPE_WARN_MIN.split(/[\s,]+/)
+  .map((v) => parseFloat(v))
+  .filter((v) => Number.isFinite(v) && v > 0)
+  .sort((a, b) => b - a);
+
+const wipeState = {
+  at: 0, // epoch ms of the pending wipe (0 = none)
+  kind: "",
+  reason: "",
+  timers: [],
+  running: false, // from the stop until the relaunch
+  last: "", // outcome of the last wipe, for .wipe status
+};
+
+const wipeMessage = (kind, leftMs) =>
+  WIPE_WARN_CMD.replace(/\{kind\}/g, kind).replace(
+    /\{time\}/g,
+    formatDuration(leftMs),
+  );
+
+function cancelWipe() {
+  for (const t of wipeState.timers) clearTimeout(t);
+  wipeState.timers = [];
+  wipeState.at = 0;
+  wipeState.kind = "";
+  wipeState.reason = "";
+}
+
+function announceWipe(kind, leftMs) {
+  const msg = wipeMessage(kind, leftMs);
+  process.stdout.write(`${C.dim}${hhmm()}${C.reset} [wipe] ${msg}\n`);
+  sendGameCommand(msg).catch(() => {});
+}
+
+function scheduleWipe(at, kind, reason, announceNow = false) {
+  cancelWipe();
+  const now = Date.now();
+  Object.assign(wipeState, { at, kind, reason });
+
+  const arm = (fn, delay) => {
+    const t = setTimeout(fn, Math.max(0, delay));
+    t.unref();
+    wipeState.timers.push(t);
+  };
+
+  if (at - now > MAX_TIMER_MS) {
+    arm(() => scheduleWipe(at, kind, reason), MAX_TIMER_MS);
+  } else {
+    for (const min of wipeWarnings) {
+      const when = at - min * 60000;
+      if (when > now)
+        arm(() => announceWipe(kind, at - Date.now()), when - now);
+    }
+    arm(() => performWipe(kind, reason), at - now);
+    if (announceNow && at - now >= 60000) announceWipe(kind, at - now);
+  }
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [wipe] ${reason} ${kind} wipe at ${formatZoned(
+      at,
+      wipeTz,
+    )} (in ${formatDuration(at - now)})\n`,
+  );
+}
+
+function armNextScheduledWipe(after = Date.now()) {
+  const next = nextScheduledWipe(after);
+  if (next) scheduleWipe(next.at, next.kind, "scheduled");
+}
+
+// Runs while the server is down: backup, then delete the kind's file set
+function wipeFiles(kind) {
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [wipe] backing up to ${BACKUP_DIR}\n`,
+  );
+  return writeBackup(`wipe-${kind}`)
+    .then((backup) => {
+      pruneBackups();
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [wipe] backup: ${backup}\n`,
+      );
+      const sets = wipeSets(kind);
+      const deleted = [];
+      for (const name of fs.readdirSync(identityDir)) {
+        if (!sets.some((re) => re.test(name))) continue;
+        const file = path.join(identityDir, name);
+        if (!fs.statSync(file).isFile()) continue;
+        fs.unlinkSync(file);
+        deleted.push(name);
+      }
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [wipe] ${kind} wipe removed ${deleted.length} file(s)${
+          deleted.length ? `: ${deleted.join(", ")}` : ""
+        }\n`,
+      );
+      wipeState.last = `${kind} at ${formatZoned(Date.now(), wipeTz)}, ${deleted.length} file(s) removed`;
+      bus.emit("wipe.done", {
+        kind,
+        identity: serverIdentity,
+        backup,
+        deleted,
+      });
+    })
+    .catch((e) => {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [wipe] ${e.message}; nothing deleted, relaunching unwiped${C.reset}\n`,
+      );
+      wipeState.last = `${kind} failed at ${formatZoned(Date.now(), wipeTz)}: ${e.message}`;
+    })
+    .then(() => {
+      wipeState.running = false;
+      armNextScheduledWipe();
+    });
+}
+
+function performWipe(kind, reason) {
+  if (wipeState.running || stopping) return;
+  cancelWipe();
+  if (backupState.busy === "restore") {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [wipe] a backup restore is running; not wiping${C.reset}\n`,
+    );
+    armNextScheduledWipe();
+    return;
+  }
+  if (!gameRunning) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [wipe] server is not running${C.reset}\n`,
+    );
+    armNextScheduledWipe();
+    return;
+  }
+  if (!fs.existsSync(identityDir)) {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [wipe] ${identityDir} does not exist; not wiping${C.reset}\n`,
+    );
+    armNextScheduledWipe();
+    return;
+  }
+  wipeState.running = true;
+  restartState.beforeRelaunch = () => wipeFiles(kind);
+
+  // a restart already stopping the server: wipe before its relaunch
+  if (restartState.inProgress) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [wipe] ${kind} wipe joins the restart in progress\n`,
+    );
+    return;
+  }
+  cancelRestart();
+  restartState.inProgress = true;
+  restartState.relaunch = true;
+
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [wipe] ${kind} wipe of ${serverIdentity} (${reason})\n`,
+  );
+  stopGame({
+    tag: "wipe",
+    warnCmd: wipeMessage(kind, SHUTDOWN_WARN_SEC * 1000),
+    warnSec: SHUTDOWN_WARN_SEC,
+    saveWaitSec: RESTART_SAVE_WAIT_SEC,
+    termAfterSec:
+      SHUTDOWN_WARN_SEC + RESTART_SAVE_WAIT_SEC + RESTART_QUIT_TIMEOUT_SEC,
+  });
+}
+
+function handleWipeCommand(rest) {
+  const parts = rest.split(/\s+/).filter(Boolean);
+  const sub = (parts[0] || "status").toLowerCase();
+  const say = (msg) =>
+    process.stdout.write(`${C.dim}${hhmm()}${C.reset} [wipe] ${msg}\n`);
+
+  if (sub === "map" || sub === "full") {
+    if (parts.length === 1) {
+      performWipe(sub, "manual");
+      return;
+    }
+    const at =
+      parts[1] === "--at" ? parseWipeTime(parts.slice(2).join(" ")) : null;
+    if (!at) {
+      say("use: .wipe map|full [--at +90m | HH:MM | YYYY-MM-DD HH:MM]");
+    } else if (wipeState.running) {
+      say("a wipe is already running");
+    } else {
+      if (wipeState.at) say(`replacing the pending ${wipeState.kind} wipe`);
+      scheduleWipe(at, sub, "manual", true);
+    }
+  } else if (sub === "cancel") {
+    if (!wipeState.at) {
+      say("nothing pending");
+    } else {
+      const was = wipeState.at;
+      cancelWipe();
+      say("cancelled");
+      armNextScheduledWipe(was);
+    }
+  } else if (sub === "status") {
+    const pending = wipeState.running
+      ? "in progress"
+      : wipeState.at
+        ? `${wipeState.reason} ${wipeState.kind} at ${formatZoned(
+            wipeState.at,
+            wipeTz,
+          )} (in ${formatDuration(wipeState.at - Date.now())})`
+        : "none";
+    say(
+      `pending: ${pending}; identity=${identityDir} backups=${BACKUP_DIR} schedule=${
+        WIPE_SCHEDULE || "off"
+      } warnings=${wipeWarnings.join(",") || "none"}m${
+        wipeState.last ? `; last: ${wipeState.last}` : ""
+      }`,
+    );
+  } else {
+    say("use: .wipe map|full [--at <time>] | cancel | status");
+  }
+}
+
+armNextScheduledWipe();
+
+// ---------- player roster ----------
+// Who is online, from the player.connect / player.disconnect events. With
+// RCON, "playerlist" (or "status" when that isn't JSON) fills in missed
+// joins and drops players who left without a disconnect line; anyone who
+// joined within PLAYER_JOIN_GRACE_MS is left alone, as they may still be
+// loading in. Every finished session becomes one NDJSON line in
+// PLAYER_HISTORY_FILE: steamId, name, start, end, durationSec, reason.
+const PLAYER_JOIN_GRACE_MS = 120000;
+
+const roster = new Map(); // steamId -> { steamId, name, since, source }
+let playerSyncTimer = null;
+
+const playersSay = (msg) =>
+  process.stdout.write(`${C.dim}${hhmm()}${C.reset} [players] ${msg}\n`);
+
+function startSession(steamId, name, since, source) {
+  roster.set(steamId, { steamId, name, since, source });
+}
+
+function endSession(steamId, reason, end = Date.now()) {
+  const p = roster.get(steamId);
+  if (!p) return;
+  roster.delete(steamId);
+  if (PLAYER_HISTORY_FILE === "off") return;
+  const rec = {
+    steamId,
+    name: p.name,
+    start: new Date(p.since).toISOString(),
+    end: new Date(end).toISOString(),
+    durationSec: Math.max(0, Math.round((end - p.since) / 1000)),
+    reason,
+  };
+  try {
+    fs.mkdirSync(path.dirname(PLAYER_HISTORY_FILE), { recursive: true });
+    fs.appendFileSync(PLAYER_HISTORY_FILE, JSON.stringify(rec) + "\n");
+  } catch (e) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [players] cannot write ${PLAYER_HISTORY_FILE}: ${e.message}${C.reset}\n`,
+    );
+  }
+}
+
+function endAllSessions(reason) {
+  for (const steamId of [...roster.keys()]) endSession(steamId, reason);
+}
+
+bus.on("player.connect", ({ steamId, name }) => {
+  // a second join means the disconnect line was missed
+  if (roster.has(steamId)) endSession(steamId, "rejoined");
+  startSession(steamId, name, Date.now(), "log");
+});
+bus.on("player.disconnect", ({ steamId, reason }) =>
+  endSession(steamId, `disconnect: ${reason}`),
+);
+bus.on("game.exit", () => endAllSessions("server stopped"));
+
+// RCON "playerlist" JSON -> [{ steamId, name, connectedSec }], or null
+function parsePlayerlist(body) {
+  let list;
+  try {
+    list = JSON.parse(body);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(list)) return null;
+  return list
+    .filter((p) => p && /^\d{17}$/.test(String(p.SteamID)))
+    .map((p) => ({
+      steamId: String(p.SteamID),
+      name: String(p.DisplayName ?? ""),
+      connectedSec: Number(p.ConnectedSeconds) || 0,
+    }));
+}
+
+// "status" table rows: 76561198000000000 "Name" 35 1234s 1.2.3.4:5678 ...
+function parseStatusPlayers(body) {
+  if (!/^players\s*:/m.test(body)) return null;
+  const out = [];
+  const re = /^(\d{17})\s+"(.*)"\s+\d+\s+(\d+)s\s/gm;
+  for (let m; (m = re.exec(body));) {
+    out.push({ steamId: m[1], name: m[2], connectedSec: +m[3] });
+  }
+  return out;
+}
+
+function reconcileRoster(list, now = Date.now()) {
+  const listed = new Set();
+  let added = 0;
+  let dropped = 0;
+  for (const p of list) {
+    listed.add(p.steamId);
+    const known = roster.get(p.steamId);
+    if (known) {
+      if (p.name) known.name = p.name;
+      continue;
+    }
+    startSession(p.steamId, p.name, now - p.connectedSec * 1000, "rcon");
+    added++;
+  }
+  for (const p of [...roster.values()]) {
+    if (listed.has(p.steamId) || now - p.since < PLAYER_JOIN_GRACE_MS) {
+      continue;
+    }
+    endSession(p.steamId, "missing from playerlist", now);
+    dropped++;
+  }
+  return { added, dropped };
+}
+
+// -> Promise of { added, dropped }; rejects when RCON can't tell us
+function syncPlayers() {
+  if (!RCON_PASS) return Promise.reject(new Error("RCON is not configured"));
+  if (!gameRunning || !rconLink.serverReady) {
+    return Promise.reject(new Error("the server is not up yet"));
+  }
+  return sendRconOnce("playerlist", { quiet: true })
+    .then((body) => {
+      const list = parsePlayerlist(body);
+      if (list) return list;
+      return sendRconOnce("status", { quiet: true }).then(parseStatusPlayers);
+    })
+    .then((list) => {
+      if (!list) throw new Error("unreadable playerlist/status reply");
+      const r = reconcileRoster(list);
+      if (r.added || r.dropped) {
+        playersSay(
+          `sync: ${r.added} missed join(s), ${r.dropped} missed leave(s); ${roster.size} online`,
+        );
+      }
+      return r;
+    });
+}
+
+function armPlayerSync() {
+  clearInterval(playerSyncTimer);
+  playerSyncTimer = null;
+  if (PLAYER_SYNC_SEC <= 0) return;
+  playerSyncTimer = setInterval(() => {
+    if (!RCON_PASS || !gameRunning || !rconLink.serverReady) return;
+    syncPlayers().catch((e) =>
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [players] sync failed: ${e.message}${C.reset}\n`,
+      ),
+    );
+  }, PLAYER_SYNC_SEC * 1000);
+  playerSyncTimer.unref();
+}
+
+// Sessions of players whose steamId is `query` or whose name contains it
+// -> Promise of Map steamId -> { name, sessions, totalSec, last }
+function findSessions(query) {
+  const q = query.toLowerCase();
+  const byId = /^\d{17}$/.test(query);
+  const found = new Map();
+  return new Promise((resolve, reject) => {
+    if (!fs.existsSync(PLAYER_HISTORY_FILE)) return resolve(found);
+    const lines = readline.createInterface({
+      input: fs.createReadStream(PLAYER_HISTORY_FILE, "utf8"),
+      crlfDelay: Infinity,
+    });
+    lines.on("error", reject);
+    lines.on("line", (ln) => {
+      let rec;
+      try {
+        rec = JSON.parse(ln);
+      } catch {
+        return;
+      }
+      const hit = byId
+        ? rec.steamId === query
+        : String(rec.name || "")
+            .toLowerCase()
+            .includes(q);
+      if (!hit) return;
+      const s = found.get(rec.steamId) || { sessions: 0, totalSec: 0 };
+      s.name = rec.name;
+      s.sessions++;
+      s.totalSec += rec.durationSec || 0;
+      if (!s.last || rec.end > s.last.end) s.last = rec;
+      found.set(rec.steamId, s);
+    });
+    lines.on("close", () => resolve(found));
+  });
+}
+
+function printSeen(query) {
+  const q = query.toLowerCase();
+  const online = [...roster.values()].filter((p) =>
+    /^\d{17}$/.test(query)
+      ? p.steamId === query
+      : p.name.toLowerCase().includes(q),
+  );
+  for (const p of online) {
+    playersSay(
+      `${p.steamId}  ${p.name}  online now, for ${formatDuration(
+        Date.now() - p.since,
+      )}`,
+    );
+  }
+  if (PLAYER_HISTORY_FILE === "off") {
+    if (!online.length)
+      playersSay(`"${query}" is not online (no history kept)`);
+    return;
+  }
+  findSessions(query).then(
+    (found) => {
+      if (!found.size && !online.length) {
+        playersSay(`no sessions for "${query}" in ${PLAYER_HISTORY_FILE}`);
+        return;
+      }
+      const rows = [...found].sort((a, b) =>
+        a[1].last.end < b[1].last.end ? 1 : -1,
+      );
+      for (const [steamId, s] of rows.slice(0, 10)) {
+        const end = Date.parse(s.last.end);
+        playersSay(
+          `${steamId}  ${s.name}  last played ${s.last.end
+            .slice(0, 16)
+            .replace("T", " ")} UTC (${formatDuration(
+            Date.now() - end,
+          )} ago) for ${formatDuration(
+            s.last.durationSec * 1000,
+          )}; ${s.sessions} session(s), ${formatDuration(
+            s.totalSec * 1000,
+          )} in total`,
+        );
+      }
+      if (rows.length > 10) playersSay(`... and ${rows.length - 10} more`);
+    },
+    (e) =>
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [players] ${PLAYER_HISTORY_FILE}: ${e.message}${C.reset}\n`,
+      ),
+  );
+}
+
+// .players [list] | seen <steamid|name> | sync
+function handlePlayersCommand(rest) {
+  const parts = rest.split(/\s+/).filter(Boolean);
+  const sub = (parts[0] || "list").toLowerCase();
+
+  if (sub === "list") {
+    if (!roster.size) {
+      playersSay("nobody online");
+      return;
+    }
+    playersSay(`${roster.size} online`);
+    const now = Date.now();
+    for (const p of [...roster.values()].sort((a, b) => a.since - b.since)) {
+      playersSay(
+        `${p.steamId}  ${p.name}  ${formatDuration(now - p.since)}${
+          p.source === "rcon" ? " (from playerlist)" : ""
+        }`,
+      );
+    }
+  } else if (sub === "seen" && parts[1]) {
+    printSeen(parts.slice(1).join(" "));
+  } else if (sub === "sync") {
+    syncPlayers().then(
+      (r) => {
+        if (!r.added && !r.dropped) {
+          playersSay(`in sync; ${roster.size} online`);
+        }
+      },
+      (e) => playersSay(`sync failed: ${e.message}`),
+    );
+  } else {
+    playersSay("use: .players [list] | seen <steamid|name> | sync");
+  }
+}
+
+armPlayerSync();
+
+// ---------- hang watchdog ----------
+const watchdog = {
+  lastOutputAt: Date.now(), // last game/unity line
+  lastAliveAt: 0, // last answered probe
+  probeFails: 0,
+  probing: false,
+  dSince: 0, // first sample of an uninterrupted D-state run
+  tripped: null, // { at, reason } until output resumes or the game restarts
+  restartTimer: null,
+};
+
+function resetWatchdog() {
+  clearTimeout(watchdog.restartTimer);
+  Object.assign(watchdog, {
+    lastOutputAt: Date.now(),
+    lastAliveAt: 0,
+    probeFails: 0,
+    dSince: 0,
+    tripped: null,
+    restartTimer: null,
+  });
+}
+
+function noteGameOutput() {
+  watchdog.lastOutputAt = Date.now();
+  watchdog.probeFails = 0;
+  if (!watchdog.tripped) return;
+  process.stdout.write(
+    `${C.fg.yellow}${hhmm()} [watchdog] output resumed after ${formatDuration(
+      Date.now() - watchdog.tripped.at,
+    )}${watchdog.restartTimer ? "; restart cancelled" : ""}${C.reset}\n`,
+  );
+  clearTimeout(watchdog.restartTimer);
+  watchdog.restartTimer = null;
+  watchdog.tripped = null;
+}
+
+function tripHang(reason) {
+  const target = game;
+  const pid = resolveGamePid();
+  watchdog.tripped = { at: Date.now(), reason };
+  process.stdout.write(
+    `${C.fg.red}${hhmm()} [watchdog] server looks hung (${reason}); capturing stacks${C.reset}\n`,
+  );
+
+  const capture = pid
+    ? captureStack(pid, `watchdog: ${reason}`)
+    : Promise.resolve({ error: "RustDedicated pid not found" });
+  capture.then((r) => {
+    if (r.error) {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [watchdog] stack capture failed: ${r.error}${C.reset}\n`,
+      );
+    } else {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [watchdog] stacks saved to ${r.file}${C.reset}\n`,
+      );
+    }
+    bus.emit("game.hang", {
+      reason,
+      file: r.error ? null : r.file,
+      restart: HANG_RESTART,
+    });
+
+    if (!HANG_RESTART || !watchdog.tripped || target !== game) return;
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [watchdog] restarting in ${HANG_RESTART_GRACE_SEC}s unless output resumes${C.reset}\n`,
+    );
+    watchdog.restartTimer = setTimeout(() => {
+      watchdog.restartTimer = null;
+      if (watchdog.tripped && target === game && gameRunning) {
+        performRestart("hang");
+      }
+    }, HANG_RESTART_GRACE_SEC * 1000);
+  });
+}
+
+function checkHang() {
+  if (HANG_SILENCE_SEC <= 0) return;
+  if (!gameRunning || !rconLink.serverReady || stopping) return;
+  if (restartState.inProgress || watchdog.tripped || watchdog.probing) return;
+  const now = Date.now();
+  const limitMs = HANG_SILENCE_SEC * 1000;
+
+  const pid = resolveGamePid();
+  const st = pid ? readProcStats(pid) : null;
+  if (st && st.state === "D") {
+    if (!watchdog.dSince) watchdog.dSince = now;
+    if (now - watchdog.dSince >= limitMs) {
+      tripHang(`in D state for ${formatDuration(now - watchdog.dSince)}`);
+      return;
+    }
+  } else {
+    watchdog.dSince = 0;
+  }
+
+  // silence alone is normal on an empty server; RCON has to stop answering too
+  if (!RCON_PASS) return;
+  if (now - Math.max(watchdog.lastOutputAt, watchdog.lastAliveAt) < limitMs) {
+    return;
+  }
+  watchdog.probing = true;
+  sendRconOnce(HANG_PROBE_CMD, { quiet: true }).then(
+    () => {
+      watchdog.probing = false;
+      watchdog.probeFails = 0;
+      watchdog.lastAliveAt = Date.now();
+    },
+    (e) => {
+      watchdog.probing = false;
+      // a refused/closed connection says nothing about the game loop
+      if (e.code !== "RCON_TIMEOUT") return;
+      if (++watchdog.probeFails < HANG_PROBES || watchdog.tripped) return;
+      tripHang(
+        `no output for ${formatDuration(
+          Date.now() - watchdog.lastOutputAt,
+        )} and ${watchdog.probeFails} RCON probes timed out`,
+      );
+    },
+  );
+}
+
+bus.on("game.start", resetWatchdog);
+// armed even when off so ".config reload" can turn it on
+setInterval(checkHang, HANG_CHECK_SEC * 1000).unref();
+
+// ---------- audit log ----------
+// One JSON object per line: ts, id, source (panel|api), route, command with
+// secrets masked, outcome (ok|error|started) plus error / exitCode. Shell
+// commands get a "started" entry and a second one with the exit code.
+let auditFd = null;
+let auditSeq = 0;
+if (AUDIT_LOG !== "off") {
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_LOG), { recursive: true });
+    auditFd = fs.openSync(AUDIT_LOG, "a", 0o600);
+  } catch (e) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [audit] cannot open ${AUDIT_LOG}: ${e.message}${C.reset}\n`,
+    );
+  }
+}
+
+// Known secret values, the argument of commands that set a password, and
+// name=value / name: value pairs whose name ends in a credential word
+// (key, api_key, rcon.password, ...). Ordinary words that merely contain
+// "key" or "pass" (monkey, keyboard, Passenger) are left alone.
+const SECRET_VALUES = [RCON_PASS, API_TOKEN, process.env.STEAM_PASS || ""]
+  .filter((v) => v.length >= 4)
+  .sort((a, b) => b.length - a.length);
+
+// Console commands whose argument is a password
+const SECRET_COMMAND_RE =
+  /(^|[\s;])((?:rcon|server)\.password)(\s+)("[^"]*"|'[^']*'|\S+)/gi;
+
+function redactSecrets(text) {
+  let out = text;
+  for (const v of SECRET_VALUES) out = out.split(v).join("****");
+  return out
+    .replace(SECRET_COMMAND_RE, "$1$2$3****")
+    .replace(
+      /\b((?:[\w.-]*[_.-])?(?:pass(?:word|wd)?|token|secret|key))(\s*[=:]\s*)("[^"]*"|'[^']*'|\S+)/gi,
+      "$1$2****",
+    );
+}
+
+function writeAudit(entry) {
+  if (auditFd === null) return;
+  const rec = {
+    ts: new Date().toISOString(),
+    ...entry,
+    command: redactSecrets(entry.command || ""),
+  };
+  try {
+    fs.writeSync(auditFd, JSON.stringify(rec) + "\n");
+  } catch {}
+}
+
+// Records what handleInputLine/routeCommand returned once it settles.
+function auditResult(source, line, result) {
+  // the shell branch writes its own entries
+  if (!result || result.route === "shell") return;
+  const id = ++auditSeq;
+  Promise.resolve(result).then((r) => {
+    writeAudit({
+      id,
+      source,
+      route: r.route,
+      command: r.payload ?? line,
+      outcome: r.ok === false ? "error" : "ok",
+      ...(r.error ? { error: r.error } : {}),
+    });
+  });
+}
+
+// Last n entries, read from the end of the file
+function readAuditTail(n) {
+  const fd = fs.openSync(AUDIT_LOG, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const len = Math.min(size, 256 * 1024);
+    const buf = Buffer.alloc(len);
+    fs.readSync(fd, buf, 0, len, size - len);
+    const lines = buf.toString("utf8").split("\n").filter(Boolean);
+    if (len < size) lines.shift(); // probably cut mid-line
+    const out = [];
+    for (const ln of lines.slice(-n)) {
+      try {
+        out.push(JSON.parse(ln));
+      } catch {}
+    }
+    return out;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function printHistory(arg) {
+  if (auditFd === null) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [history] audit log is disabled\n`,
+    );
+    return;
+  }
+  const n = Math.max(1, Math.min(500, parseInt(arg || "20", 10) || 20));
+  let entries;
+  try {
+    entries = readAuditTail(n);
+  } catch (e) {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [history] ${e.message}${C.reset}\n`,
+    );
+    return;
+  }
+  if (!entries.length) {
+    process.stdout.write(`${C.dim}${hhmm()}${C.reset} [history] (empty)\n`);
+    return;
+  }
+  for (const e of entries) {
+    const when = String(e.ts || "")
+      .slice(5, 19)
+      .replace("T", " ");
+    const outcome =
+      e.exitCode !== undefined
+        ? `exit ${e.exitCode}`
+        : e.error
+          ? `error: ${e.error}`
+          : e.outcome;
+    const color = e.outcome === "error" ? C.fg.red : "";
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [history] ${color}${when} ${e.source} ${
+        e.route
+      } ${e.command}  (${outcome})${C.reset}\n`,
+    );
+  }
+}
+
+// ---------- shell passthrough ----------
+// "! <cmd>" runs `bash -lc` in its own process group so a timeout or .kill
+// takes its children with it. SHELL_POLICY=allowlist only runs commands that
+// start with a SHELL_ALLOW prefix and contain no shell metacharacters.
+const shellJobs = new Map(); // id -> { id, cmd, proc, startedAt, timer }
+let nextShellJobId = 1;
+
+function shellPolicyDenies(sh) {
+  if (SHELL_POLICY === "disabled") return "shell passthrough is disabled";
+  if (SHELL_POLICY !== "allowlist") return null;
+  if (/[;&|`$()<>\\\n]/.test(sh)) {
+    return "shell metacharacters are not allowed by the allowlist";
+  }
+  const ok = SHELL_ALLOW.some((p) => sh === p || sh.startsWith(p + " "));
+  return ok ? null : "command is not in SHELL_ALLOW";
+}
+
+function signalShellJob(job, sig) {
+  try {
+    process.kill(-job.proc.pid, sig);
+  } catch {}
+}
+
+// TERM the job's process group, KILL it if still there 5s later
+function stopShellJob(job) {
+  signalShellJob(job, "SIGTERM");
+  setTimeout(() => {
+    if (shellJobs.has(job.id)) signalShellJob(job, "SIGKILL");
+  }, 5000).unref();
+}
+
+function runShellCommand(sh, source) {
+  if (!sh) {
+    process.stdout.write(`${C.fg.yellow}${hhmm()} [shell] (empty)${C.reset}\n`);
+    return { route: "shell" };
+  }
+  const shAudit = { id: ++auditSeq, source, route: "shell", command: sh };
+
+  const denied =
+    shellPolicyDenies(sh) ||
+    (shellJobs.size >= SHELL_MAX_JOBS
+      ? `${shellJobs.size} shell commands already running (SHELL_MAX_JOBS)`
+      : null);
+  if (denied) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [shell] refused: ${denied}${C.reset}\n`,
+    );
+    writeAudit({ ...shAudit, outcome: "error", error: denied });
+    return { route: "shell", ok: false, error: denied };
+  }
+
+  process.stdout.write(`${C.dim}${hhmm()}${C.reset} [shell] ${sh}\n`);
+  writeAudit({ ...shAudit, outcome: "started" });
+  const shProc = spawn("bash", ["-lc", sh], {
+    stdio: ["ignore", "pipe", "pipe"],
+    detached: true,
+  });
+  const job = {
+    id: nextShellJobId++,
+    cmd: sh,
+    proc: shProc,
+    startedAt: Date.now(),
+    timer: null,
+  };
+  shellJobs.set(job.id, job);
+
+  if (SHELL_TIMEOUT_SEC > 0) {
+    job.timer = setTimeout(() => {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [shell] #${job.id} timed out after ${SHELL_TIMEOUT_SEC}s; stopping${C.reset}\n`,
+      );
+      stopShellJob(job);
+    }, SHELL_TIMEOUT_SEC * 1000);
+  }
+
+  shProc.on("error", (e) => {
+    writeAudit({ ...shAudit, outcome: "error", error: e.message });
+  });
+  shProc.stdout.on("data", (d) => {
+    for (const ln of `${d}`.split(/\r?\n/)) {
+      if (ln) jsonLog("shell", false, ln);
+    }
+    mirrorWrite(false, `${d}`);
+  });
+  shProc.stderr.on("data", (d) => {
+    for (const ln of `${d}`.split(/\r?\n/)) {
+      if (ln) jsonLog("shell", true, ln);
+    }
+    mirrorWrite(true, `${d}`);
+  });
+  shProc.on("exit", (code, signal) => {
+    clearTimeout(job.timer);
+    shellJobs.delete(job.id);
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [shell] exit ${code}${
+        signal ? ` (${signal})` : ""
+      }\n`,
+    );
+    writeAudit({
+      ...shAudit,
+      outcome: code === 0 ? "ok" : "error",
+      exitCode: code,
+      ...(signal ? { signal } : {}),
+    });
+  });
+  return { route: "shell", job: job.id };
+}
+
+function printShellJobs() {
+  if (!shellJobs.size) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [jobs] no shell commands running\n`,
+    );
+    return;
+  }
+  for (const job of shellJobs.values()) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [jobs] #${job.id} pid=${
+        job.proc.pid
+      } ${formatDuration(Date.now() - job.startedAt)} ${job.cmd}\n`,
+    );
+  }
+}
+
+function killShellJob(arg) {
+  const id = parseInt(arg.replace(/^#/, ""), 10);
+  const job = shellJobs.get(id);
+  if (!job) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [jobs] no running job ${arg || "(use .kill <id>)"}\n`,
+    );
+    return { route: "wrapper", ok: false, error: "no such job" };
+  }
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [jobs] stopping #${job.id}: ${job.cmd}\n`,
+  );
+  stopShellJob(job);
+  return { route: "wrapper" };
+}
+
+// ---------- panel input handler ----------
+// "! <cmd>" and dot-commands are handled by the wrapper; anything else goes
+// to the game over the route the router picks (prefix or default mode).
+const router = createInputRouter({
+  mode: CONSOLE_MODE,
+  hasRcon: () => !!RCON_PASS,
+  shell: (cmd, source) => runShellCommand(cmd, source),
+  game: (route, payload, source, fellBack) =>
+    deliverCommand(route, payload, fellBack),
+});
+
+// Game-bound commands: delivery over stdin or RCON. Resolves with
+// { route, payload, ok, reply?, error? } once delivered; the rcon route
+// waits for the server's reply.
+function deliverCommand(route, payload, fellBack) {
+  if (fellBack) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [rcon] disabled (no pass); using stdin\n`,
+    );
+  }
+
+  if (/^(quit|exit)$/i.test(payload.trim())) quitRequested = true;
+
+  if (route === "stdin") {
+    if (!gameRunning) {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [stdin] server is not running${C.reset}\n`,
+      );
+      return Promise.resolve({
+        route,
+        payload,
+        ok: false,
+        error: "server is not running",
+      });
+    }
+    try {
+      game.stdin.write(payload + "\n");
+      process.stdout.write(`${C.dim}${hhmm()}${C.reset} [stdin] ${payload}\n`);
+      return Promise.resolve({ route, payload, ok: true });
+    } catch {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [stdin] failed to write${C.reset}\n`,
+      );
+      return Promise.resolve({
+        route,
+        payload,
+        ok: false,
+        error: "failed to write",
+      });
+    }
+  }
+
+  // route === "rcon"
+  return sendRconOnce(payload).then(
+    (reply) => ({ route, payload, ok: true, reply }),
+    (e) => {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [rcon] ${payload} -> ${e.message}${C.reset}\n`,
+      );
+      return { route, payload, ok: false, error: e.message };
+    },
+  );
+}
+
+// A game command with an optional forced route (stdin | rcon | auto)
+function routeCommand(line, forcedRoute) {
+  const { route, payload, fellBack } = router.resolveRoute(line, forcedRoute);
+  return deliverCommand(route, payload, fellBack);
+}
+
+// One line of input from the panel (or the control API), dispatched by the
+// router. Every line is written to the audit log with its source.
+function handleInputLine(rawLine, source = "panel") {
+  const line = rawLine.trim();
+  if (!line) return null;
+  const result = router.dispatch(line, source);
+  auditResult(source, line, result);
+  return result;
+}
+
+// Shell passthrough job control
+router.command("jobs", () => printShellJobs());
+router.command("kill", (args) => killShellJob(args));
+
+// Runtime default mode toggle
+router.command("mode", (args) => {
+  if (router.setMode(args)) {
+    process.env.CONSOLE_MODE = router.mode;
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [mode] default set to ${router.mode}\n`,
+    );
+  } else {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [mode] use: .mode stdin | rcon | auto\n`,
+    );
+  }
+});
+
+// Restart now / later / cancel
+router.command("restart", (args) => handleRestartCommand(args));
+
+// Highlight rules: list / reload LOG_RULES_FILE
+router.command("rules", (args) => {
+  const sub = args.toLowerCase();
+  if (sub === "reload") loadLogRules();
+  else if (sub) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [rules] use: .rules [reload]\n`,
+    );
+    return;
+  }
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [rules] ${logRules.length} active (${logRulesFromFile} from ${
+      LOG_RULES_FILE || "no LOG_RULES_FILE"
+    })\n`,
+  );
+});
+
+// Wrapper settings: show (optionally filtered) / reload WRAPPER_CONFIG
+router.command("config", (args) => {
+  if (args.toLowerCase() === "reload") reloadConfig();
+  else printConfig(args);
+});
+
+// Audit history
+router.command("history", (args) => printHistory(args));
+
+// Telemetry snapshot and heap details
+router.command("telemetry", () => printTelemetry("telemetry"));
+router.command("heap", () => printHeapDetails());
+
+// Stack trace via gdb, targeting RustDedicated (saved to STACK_DUMP_DIR)
+router.command("stack", (args) => handleStackCommand(args));
+
+// Stored stack/core dumps
+router.command("dumps", (args) => handleDumpsCommand(args));
+
+// Map / full wipes, now or at a time
+router.command("wipe", (args) => handleWipeCommand(args));
+
+// Backups: take one now, list, restore (server stopped)
+router.command("backup", (args) => handleBackupCommand(args));
+
+// Who is online, and when someone last played
+router.command("players", (args) => handlePlayersCommand(args));
+
+// ---------- Oxide/Carbon plugins ----------
+// ".plugins" works on the framework's plugin files (PLUGINS_DIR, else
+// oxide/plugins or carbon/plugins) and sends its console commands over the
+// default route. Results come back as plugin.* events parsed from the log;
+// each command waits up to PLUGIN_RESULT_SEC for them and reports. Disabled
+// plugins are renamed to <Name>.cs.disabled, which neither framework loads.
+const FRAMEWORK_COMMANDS = {
+  oxide: { reload: "oxide.reload", load: "oxide.load", unload: "oxide.unload" },
+  carbon: { reload: "c.reload", load: "c.load", unload: "c.unload" },
+};
+
+// FRAMEWORK from the panel, else whichever plugins folder exists
+function modFramework() {
+  const fw = String(process.env.FRAMEWORK || "").toLowerCase();
+  if (fw.startsWith("carbon")) return "carbon";
+  if (fw.startsWith("oxide") || fw.startsWith("umod")) return "oxide";
+  if (PLUGINS_DIR) return /carbon/i.test(PLUGINS_DIR) ? "carbon" : "oxide";
+  for (const name of ["carbon", "oxide"]) {
+    if (fs.existsSync(path.join(SERVER_ROOT, name, "plugins"))) {
+      return name;
+    }
+  }
+  return null;
+}
+
+const modPluginsDir = (fw) =>
+  PLUGINS_DIR || path.join(SERVER_ROOT, fw, "plugins");
+
+// Plugin files in dir -> [{ name, file, enabled }] sorted by name
+function listModPlugins(dir) {
+  const out = [];
+  for (const f of fs.readdirSync(dir)) {
+    const m = /^([\w-]+)\.cs(\.disabled)?$/.exec(f);
+    if (m) out.push({ name: m[1], file: path.join(dir, f), enabled: !m[2] });
+  }
+  return out.sort(
+    (a, b) => a.name.localeCompare(b.name) || b.enabled - a.enabled,
+  );
+}
+
+// Case-insensitive; the enabled file wins when both exist
+function findModPlugin(dir, name) {
+  const want = name.toLowerCase();
+  return listModPlugins(dir).find((p) => p.name.toLowerCase() === want) || null;
+}
+
+// What the log last said about each plugin since the server started
+const modPluginState = new Map(); // lowercase name -> { state, version, at, line }
+// Pending results: lowercase plugin name, or "*" for a reload of everything
+const modPluginWatches = new Map();
+const MOD_SETTLE_MS = 2000; // more lines of the same failure/batch
+
+function watchModPlugin(name, action, expect) {
+  const key = name === "*" ? "*" : name.toLowerCase();
+  finishModWatch(key, true); // a newer command on the same plugin wins
+  const w = { name, action, expect, started: Date.now(), done: [], errors: [] };
+  w.timer = setTimeout(() => finishModWatch(key), PLUGIN_RESULT_SEC * 1000);
+  modPluginWatches.set(key, w);
+}
+
+function finishModWatch(key, cancelled = false) {
+  const w = modPluginWatches.get(key);
+  if (!w) return;
+  modPluginWatches.delete(key);
+  clearTimeout(w.timer);
+  if (cancelled) return;
+
+  const label = key === "*" ? "all plugins" : w.name;
+  const took = formatDuration(Date.now() - w.started);
+  if (w.errors.length) {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [plugins] ${w.action} ${label}: ${w.errors.length} error(s)${C.reset}\n`,
+    );
+    for (const line of w.errors.slice(0, 10)) {
+      process.stdout.write(`${C.fg.red}  ${line}${C.reset}\n`);
+    }
+    if (w.errors.length > 10) {
+      process.stdout.write(`  ... ${w.errors.length - 10} more\n`);
+    }
+  }
+  if (w.done.length) {
+    const what = key === "*" ? `${w.done.length} plugins` : w.done[0];
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [plugins] ${what} ${w.expect} (${took})\n`,
+    );
+  } else if (!w.errors.length) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [plugins] ${w.action} ${label}: nothing ${w.expect} within ${PLUGIN_RESULT_SEC}s${C.reset}\n`,
+    );
+  }
+}
+
+function noteModPlugin(state, { name, version, line }) {
+  const key = name.toLowerCase();
+  const prev = modPluginState.get(key);
+  modPluginState.set(key, {
+    state,
+    version: version || (prev && prev.version) || "",
+    at: Date.now(),
+    line,
+  });
+
+  for (const wkey of [key, "*"]) {
+    const w = modPluginWatches.get(wkey);
+    if (!w) continue;
+    if (state === "error") w.errors.push(line);
+    else if (state === w.expect)
+      w.done.push(version ? `${name} v${version}` : name);
+    else continue; // e.g. the "Unloaded" a reload prints first
+    if (wkey !== "*" && state === w.expect) {
+      finishModWatch(wkey);
+    } else {
+      clearTimeout(w.timer);
+      w.timer = setTimeout(() => finishModWatch(wkey), MOD_SETTLE_MS);
+    }
+  }
+}
+
+bus.on("plugin.loaded", (p) => noteModPlugin("loaded", p));
+bus.on("plugin.unloaded", (p) => noteModPlugin("unloaded", p));
+bus.on("plugin.error", (p) => noteModPlugin("error", p));
+bus.on("game.start", () => modPluginState.clear());
+
+// Sends e.g. "oxide.reload Vanish" and waits for `expect` on that plugin
+function runFrameworkCommand(fw, action, name, expect) {
+  watchModPlugin(name, action, expect);
+  const key = name === "*" ? "*" : name.toLowerCase();
+  Promise.resolve(
+    routeCommand(`${FRAMEWORK_COMMANDS[fw][action]} ${name}`),
+  ).then((r) => {
+    if (!r.ok) finishModWatch(key, true);
+  });
+}
+
+function printModPlugins(fw, dir) {
+  const list = listModPlugins(dir);
+  const enabled = list.filter((p) => p.enabled).length;
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [plugins] ${fw}: ${dir}, ${enabled} enabled, ${
+      list.length - enabled
+    } disabled\n`,
+  );
+  const width = Math.max(16, ...list.map((p) => p.name.length));
+  for (const p of list) {
+    const seen = p.enabled && modPluginState.get(p.name.toLowerCase());
+    let status = "";
+    if (seen) {
+      const ago = `${formatDuration(Date.now() - seen.at)} ago`;
+      status =
+        seen.state === "error"
+          ? `${C.fg.red}error ${ago}: ${seen.line}${C.reset}`
+          : `${seen.state}${seen.version ? ` v${seen.version}` : ""} ${ago}`;
+    }
+    process.stdout.write(
+      `  ${p.name.padEnd(width)} ${p.enabled ? "enabled " : "disabled"} ${status || "-"}\n`,
+    );
+  }
+}
+
+function pluginsSay(msg, color = "") {
+  process.stdout.write(
+    color
+      ? `${color}${hhmm()} [plugins] ${msg}${C.reset}\n`
+      : `${C.dim}${hhmm()}${C.reset} [plugins] ${msg}\n`,
+  );
+}
+
+// Renames Name.cs <-> Name.cs.disabled, then loads / unloads it
+function setModPluginEnabled(fw, dir, name, enable) {
+  const p = findModPlugin(dir, name);
+  if (!p || (!enable && !p.enabled)) {
+    pluginsSay(`no ${enable ? "" : "enabled "}${name}.cs in ${dir}`, C.fg.red);
+    return;
+  }
+  if (enable && !p.enabled) {
+    fs.renameSync(p.file, p.file.replace(/\.disabled$/, ""));
+    pluginsSay(`enabled ${p.name}.cs`);
+  } else if (!enable) {
+    if (fs.existsSync(`${p.file}.disabled`)) {
+      pluginsSay(`${p.name}.cs.disabled already exists`, C.fg.red);
+      return;
+    }
+    fs.renameSync(p.file, `${p.file}.disabled`);
+    pluginsSay(`disabled ${p.name}.cs`);
+  }
+  runFrameworkCommand(
+    fw,
+    enable ? "load" : "unload",
+    p.name,
+    enable ? "loaded" : "unloaded",
+  );
+}
+
+function handlePluginsCommand(rest) {
+  const parts = rest.split(/\s+/).filter(Boolean);
+  const sub = (parts[0] || "list").toLowerCase();
+  const name = parts[1] || "";
+  const needsName = ["unload", "enable", "disable"].includes(sub);
+  const usage =
+    parts.length > 2 ||
+    (name && !/^[\w-]+$/.test(name)) ||
+    (sub === "list" && name) ||
+    (needsName && !name) ||
+    !(needsName || sub === "list" || sub === "reload");
+  if (usage) {
+    pluginsSay(
+      "use: .plugins [list] | reload [name] | unload <name> | enable <name> | disable <name>",
+    );
+    return;
+  }
+
+  const fw = modFramework();
+  if (!fw) {
+    pluginsSay(
+      "no Oxide or Carbon here (set FRAMEWORK or PLUGINS_DIR)",
+      C.fg.yellow,
+    );
+    return;
+  }
+  const dir = modPluginsDir(fw);
+
+  try {
+    if (sub === "list") {
+      printModPlugins(fw, dir);
+    } else if (sub === "reload" || sub === "unload") {
+      // the file's spelling of the name, when there is one
+      const p = name && findModPlugin(dir, name);
+      const target = name ? (p ? p.name : name) : "*";
+      const expect = sub === "reload" ? "loaded" : "unloaded";
+      runFrameworkCommand(fw, sub, target, expect);
+    } else {
+      setModPluginEnabled(fw, dir, name, sub === "enable");
+    }
+  } catch (e) {
+    pluginsSay(e.message, C.fg.red);
+  }
+}
+
+// Oxide/Carbon plugins: list / reload / unload / enable / disable
+router.command("plugins", (args) => handlePluginsCommand(args));
+
+// ---------- wrapper plugins ----------
+// CommonJS modules in WRAPPER_PLUGINS_DIR, loaded at startup and on
+// ".wplugins reload" (see lib/plugin-host.js for the module shape). Besides
+// onLine / onRconReply / onUnload / setTimeout / setInterval, setup(api) gets:
+//   api.log(msg), api.warn(msg)  print as [<plugin name>]
+//   api.on(event, fn)            bus events: game.start, game.exit, chat, ...
+//   api.command(name, fn)        ".name args" -> fn(args, line, source)
+//   api.send(line)               a console line (prefixes and dot-commands
+//                                work), audited as plugin:<name>
+//   api.rcon(cmd, { quiet })     -> Promise of the reply
+//   api.status()                 the control API's /status object
+// Every callback runs inside the plugin's error boundary: throwing counts
+// against it and WRAPPER_PLUGIN_ERRORS errors disable it.
+const pluginCommands = new Map(); // command name -> owning plugin record
+
+const wrapperPlugins = createPluginHost({
+  dir: WRAPPER_PLUGINS_DIR,
+  errorLimit: cfg.WRAPPER_PLUGIN_ERRORS,
+  log: (level, name, msg) => {
+    const text = `[wplugins] ${name ? `${name}: ` : ""}${msg}`;
+    if (level === "info") {
+      process.stdout.write(`${C.dim}${hhmm()}${C.reset} ${text}\n`);
+    } else {
+      const color = level === "warn" ? C.fg.yellow : C.fg.red;
+      process.stdout.write(`${color}${hhmm()} ${text}${C.reset}\n`);
+    }
+  },
+  api: ({ plugin, guard, track, tag }) => ({
+    log: (msg) =>
+      process.stdout.write(
+        `${C.dim}${hhmm()}${C.reset} [${plugin.name}] ${msg}\n`,
+      ),
+    warn: (msg) =>
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [${plugin.name}] ${msg}${C.reset}\n`,
+      ),
+    on: (event, fn) => {
+      const listener = (...a) => guard(`on ${event}`, fn, ...a);
+      bus.on(event, listener);
+      track(() => bus.off(event, listener));
+    },
+    command: (name, fn) => {
+      const key = String(name).replace(/^\./, "").toLowerCase();
+      const owner = pluginCommands.get(key);
+      if (owner ? owner !== plugin : router.commands().includes(key)) {
+        throw new Error(`.${key} is already taken`);
+      }
+      pluginCommands.set(key, plugin);
+      router.command(key, (args, line, source) => {
+        const r = guard(`.${key}`, fn, args, line, source);
+        if (!r || typeof r.then !== "function") return r;
+        // the audit log expects a result object once it settles
+        return r.then(
+          (v) => v || { route: "wrapper" },
+          (e) => ({ route: "wrapper", ok: false, error: String(e) }),
+        );
+      });
+      track(() => {
+        router.removeCommand(key);
+        pluginCommands.delete(key);
+      });
+    },
+    // rejections are tagged so a dropped one is charged to this plugin
+    // instead of ending the wrapper
+    send: (line) => {
+      const r = handleInputLine(line, `plugin:${plugin.name}`);
+      return r && typeof r.then === "function"
+        ? r.catch((e) => Promise.reject(tag(e)))
+        : r;
+    },
+    rcon: (cmd, opts) =>
+      sendRconOnce(cmd, opts).catch((e) => Promise.reject(tag(e))),
+    status: () => apiStatus(),
+  }),
+});
+
+function printWrapperPlugins() {
+  const list = wrapperPlugins.list();
+  const loaded = list.filter((p) => p.state === "loaded").length;
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [wplugins] ${loaded}/${list.length} loaded from ${
+      WRAPPER_PLUGINS_DIR || "nowhere (WRAPPER_PLUGINS_DIR unset)"
+    }\n`,
+  );
+  for (const p of list) {
+    const cmds = [...pluginCommands]
+      .filter(([, owner]) => owner.file === p.file)
+      .map(([key]) => `.${key}`);
+    const uses = [...p.hooks, ...cmds].join(" ") || "-";
+    const errors = p.errors ? `; ${p.errors} errors, last ${p.lastError}` : "";
+    const failed = p.state === "failed" ? `; ${p.lastError}` : "";
+    process.stdout.write(
+      `  ${p.name.padEnd(16)} ${p.state.padEnd(8)} ${uses}${failed || errors}\n`,
+    );
+  }
+}
+
+function reloadWrapperPlugins() {
+  wrapperPlugins.load();
+  printWrapperPlugins();
+}
+
+// Plugin list / reload
+router.command("wplugins", (args) => {
+  const sub = args.toLowerCase();
+  if (sub === "reload") reloadWrapperPlugins();
+  else if (sub) {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [wplugins] use: .wplugins [reload]\n`,
+    );
+  } else printWrapperPlugins();
+});
+
+// A plugin's own timers or promises can still throw outside any hook; charge
+// those to the plugin instead of dying. Anything else ends the wrapper as
+// Node would.
+function onUncaught(e) {
+  if (wrapperPlugins.claim(e)) return;
+  process.stderr.write(`${(e && e.stack) || e}\n`);
+  process.exit(1);
+}
+process.on("uncaughtException", onUncaught);
+process.on("unhandledRejection", onUncaught);
+
+if (WRAPPER_PLUGINS_DIR) wrapperPlugins.load();
+
+process.stdin.setEncoding("utf8");
+let stdinBuf = "";
+
+process.stdin.on("data", (txt) => {
+  stdinBuf += txt;
+  const lines = stdinBuf.split(/\r?\n/);
+  stdinBuf = lines.pop();
+
+  for (const rawLine of lines) handleInputLine(rawLine);
+});
+
+process.stdin.resume();
+
+// ---------- HTTP control API (optional) ----------
+// Bearer-token protected; bind to localhost or a Unix socket only.
+//   GET  /status             -> game/wrapper state as JSON
+//   POST /command            -> {"command": "...", "route"?: "stdin|rcon|auto"}
+//                               or a text/plain body, handled like panel input
+//   GET  /logs?n=100         -> SSE: last n mirrored lines, then live lines
+function apiTokenOk(header) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || "");
+  if (!m) return false;
+  const a = crypto.createHash("sha256").update(m[1].trim()).digest();
+  const b = crypto.createHash("sha256").update(API_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, obj) {
+  const body = JSON.stringify(obj);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (d) => {
+      size += d.length;
+      if (size > limit) {
+        reject(new Error("body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(d);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function apiStatus() {
+  return {
+    running: gameRunning,
+    pid: gameRunning ? game.pid : null,
+    rustPid: resolveGamePid(),
+    uptimeSec: gameRunning
+      ? Math.round((Date.now() - gameStartedAt) / 1000)
+      : 0,
+    wrapperUptimeSec: Math.round(process.uptime()),
+    consoleMode: router.mode,
+    rcon: {
+      mode: RCON_MODE,
+      configured: !!RCON_PASS,
+      connected: rcon.isReady(),
+    },
+    restarts: supervisor.restarts,
+    crashes: supervisor.crashes,
+    lastExit: supervisor.lastExit || null,
+    pendingRestart: restartState.at
+      ? new Date(restartState.at).toISOString()
+      : null,
+    players: roster.size,
+  };
+}
+
+function apiCommand(req, res) {
+  readBody(req, 64 * 1024)
+    .then((raw) => {
+      let command = raw;
+      let route = "";
+      if (/json/i.test(req.headers["content-type"] || "")) {
+        let obj = null;
+        try {
+          obj = JSON.parse(raw);
+        } catch {}
+        command = obj && obj.command;
+        route = String((obj && obj.route) || "").toLowerCase();
+      }
+
+      command = typeof command === "string" ? command.trim() : "";
+      if (!command || /[\r\n]/.test(command)) {
+        return sendJson(res, 400, { error: "command must be one line" });
+      }
+      if (route && !["stdin", "rcon", "auto"].includes(route)) {
+        return sendJson(res, 400, { error: "route must be stdin|rcon|auto" });
+      }
+
+      process.stdout.write(`${C.dim}${hhmm()}${C.reset} [api] ${command}\n`);
+      let result;
+      if (route) {
+        result = routeCommand(command, route);
+        auditResult("api", command, result);
+      } else {
+        result = handleInputLine(command, "api");
+      }
+      return Promise.resolve(result).then((r) =>
+        sendJson(res, r && r.ok === false ? 502 : 200, r || {}),
+      );
+    })
+    .catch((e) => sendJson(res, 400, { error: e.message }));
+}
+
+function apiLogs(req, res, url) {
+  const n = Math.max(
+    0,
+    Math.min(
+      API_LOG_LINES,
+      parseInt(url.searchParams.get("n") || "100", 10) || 0,
+    ),
+  );
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (entry) => res.write(`data: ${JSON.stringify(entry)}\n\n`);
+  if (n > 0) logRing.slice(-n).forEach(send);
+  logListeners.add(send);
+
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => {
+    logListeners.delete(send);
+    clearInterval(ping);
+  });
+}
+
+function handleApiRequest(req, res) {
+  if (!apiTokenOk(req.headers.authorization)) {
+    return sendJson(res, 401, { error: "unauthorized" });
+  }
+  const url = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && url.pathname === "/status") {
+    return sendJson(res, 200, apiStatus());
+  }
+  if (req.method === "POST" && url.pathname === "/command") {
+    return apiCommand(req, res);
+  }
+  if (req.method === "GET" && url.pathname === "/logs") {
+    return apiLogs(req, res, url);
+  }
+  sendJson(res, 404, { error: "not found" });
+}
+
+if (API_PORT > 0 || API_SOCKET) {
+  if (!API_TOKEN) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [api] API_TOKEN not set; control API disabled${C.reset}\n`,
+    );
+  } else {
+    const apiServer = http.createServer(handleApiRequest);
+    apiServer.on("error", (e) => {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [api] server error: ${e.message}${C.reset}\n`,
+      );
+    });
+
+    if (API_SOCKET) {
+      try {
+        if (fs.statSync(API_SOCKET).isSocket()) fs.unlinkSync(API_SOCKET);
+      } catch {}
+      apiServer.listen(API_SOCKET, () => {
+        try {
+          fs.chmodSync(API_SOCKET, 0o600);
+        } catch {}
+        process.stdout.write(
+          `${C.dim}${hhmm()}${C.reset} [api] listening on ${API_SOCKET}\n`,
+        );
+      });
+    } else {
+      apiServer.listen(API_PORT, API_BIND, () => {
+        process.stdout.write(
+          `${C.dim}${hhmm()}${C.reset} [api] listening on ${API_BIND}:${API_PORT}\n`,
+        );
+      });
+    }
+  }
+}
+
+// ---------- Prometheus metrics (optional) ----------
+function metricBlock(name, type, help, samples) {
+  const out = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    const l = labels
+      ? `{${Object.entries(labels)
+          .map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, "\\$&")}"`)
+          .join(",")}}`
+      : "";
+    out.push(`${name}${l} ${Number.isFinite(value) ? value : 0}`);
+  }
+  return out.join("\n");
+}
+
+function renderMetrics() {
+  const cpu = process.cpuUsage();
+  const mem = process.memoryUsage();
+  const rustPid = gameRunning ? resolveGamePid() : null;
+  const gs = rustPid ? readProcStats(rustPid) : null;
+  const rconUp = rcon.isReady();
+
+  const blocks = [
+    metricBlock(
+      "rustwrap_wrapper_cpu_seconds_total",
+      "counter",
+      "Wrapper user+system CPU time.",
+      [[null, (cpu.user + cpu.system) / 1e6]],
+    ),
+    metricBlock(
+      "rustwrap_wrapper_resident_memory_bytes",
+      "gauge",
+      "Wrapper resident set size.",
+      [[null, mem.rss]],
+    ),
+    metricBlock("rustwrap_wrapper_heap_bytes", "gauge", "Wrapper V8 heap.", [
+      [{ kind: "used" }, mem.heapUsed],
+      [{ kind: "total" }, mem.heapTotal],
+    ]),
+    metricBlock(
+      "rustwrap_wrapper_uptime_seconds",
+      "gauge",
+      "Seconds since the wrapper started.",
+      [[null, process.uptime()]],
+    ),
+    metricBlock(
+      "rustwrap_game_up",
+      "gauge",
+      "1 while RustDedicated is running.",
+      [[null, gameRunning ? 1 : 0]],
+    ),
+    metricBlock(
+      "rustwrap_game_uptime_seconds",
+      "gauge",
+      "Seconds since the current RustDedicated launch.",
+      [[null, gameRunning ? (Date.now() - gameStartedAt) / 1000 : 0]],
+    ),
+  ];
+
+  if (gs) {
+    blocks.push(
+      metricBlock(
+        "rustwrap_game_cpu_seconds_total",
+        "counter",
+        "RustDedicated user+system CPU time.",
+        [[null, gs.cpuSeconds]],
+      ),
+      metricBlock(
+        "rustwrap_game_resident_memory_bytes",
+        "gauge",
+        "RustDedicated resident set size.",
+        [[null, gs.rssBytes]],
+      ),
+      metricBlock(
+        "rustwrap_game_threads",
+        "gauge",
+        "RustDedicated thread count.",
+        [[null, gs.threads]],
+      ),
+      metricBlock(
+        "rustwrap_game_open_fds",
+        "gauge",
+        "RustDedicated open file descriptors.",
+        [[null, gs.fds]],
+      ),
+    );
+  }
+
+  blocks.push(
+    metricBlock(
+      "rustwrap_rcon_connected",
+      "gauge",
+      "1 while the RCON connection is authenticated.",
+      [[{ mode: RCON_MODE }, rconUp ? 1 : 0]],
+    ),
+    metricBlock(
+      "rustwrap_players_online",
+      "gauge",
+      "Players on the wrapper's roster.",
+      [[null, roster.size]],
+    ),
+    metricBlock(
+      "rustwrap_crashes_total",
+      "counter",
+      "Unexpected RustDedicated exits.",
+      [[null, supervisor.crashes]],
+    ),
+    metricBlock(
+      "rustwrap_restarts_total",
+      "counter",
+      "RustDedicated relaunches (crash or scheduled/manual restart).",
+      [[null, supervisor.restarts]],
+    ),
+    metricBlock(
+      "rustwrap_log_lines_total",
+      "counter",
+      "Mirrored log lines by source and stream.",
+      Object.entries(logLineCounts).map(([k, v]) => {
+        const [source, stream] = k.split(":");
+        return [{ source, stream }, v];
+      }),
+    ),
+  );
+
+  return blocks.join("\n") + "\n";
+}
+
+if (METRICS_PORT > 0) {
+  const metricsServer = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404);
+      return res.end();
+    }
+    const body = renderMetrics();
+    res.writeHead(200, {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+      "Content-Length": Buffer.byteLength(body),
+    });
+    res.end(body);
+  });
+  metricsServer.on("error", (e) => {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [metrics] server error: ${e.message}${C.reset}\n`,
+    );
+  });
+  metricsServer.listen(METRICS_PORT, METRICS_BIND, () => {
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [metrics] listening on ${METRICS_BIND}:${METRICS_PORT}/metrics\n`,
+    );
+  });
+}
+
+// ---------- resource alerts (OOM / low disk) ----------
+// cgroup v2 memory.events, falling back to v1 memory.oom_control
+function readOomKillCount() {
+  for (const f of [
+    "/sys/fs/cgroup/memory.events",
+    "/sys/fs/cgroup/memory/memory.oom_control",
+  ]) {
+    try {
+      const m = /^oom_kill (\d+)/m.exec(fs.readFileSync(f, "utf8"));
+      if (m) return parseInt(m[1], 10);
+    } catch {}
+  }
+  return null;
+}
+
+let oomKillsSeen = OOM_WATCH ? readOomKillCount() : null;
+let diskLow = false;
+
+function checkResources() {
+  if (OOM_WATCH && oomKillsSeen !== null) {
+    const n = readOomKillCount();
+    if (n !== null && n > oomKillsSeen) {
+      process.stdout.write(
+        `${C.fg.red}${hhmm()} [alert] cgroup OOM killer fired (${
+          n - oomKillsSeen
+        } new, ${n} total)${C.reset}\n`,
+      );
+      bus.emit("alert.oom", { kills: n - oomKillsSeen, total: n });
+      // keep entrypoint's next-boot OOM check from reporting it again
+      if (OOM_STATE_FILE) {
+        try {
+          fs.writeFileSync(OOM_STATE_FILE, String(n));
+        } catch {}
+      }
+    }
+    if (n !== null) oomKillsSeen = n;
+  }
+
+  if (DISK_MIN_FREE_MB > 0 && typeof fs.statfsSync === "function") {
+    try {
+      const st = fs.statfsSync(DISK_CHECK_PATH);
+      const freeMb = Math.floor((st.bavail * st.bsize) / (1024 * 1024));
+      if (freeMb < DISK_MIN_FREE_MB && !diskLow) {
+        diskLow = true;
+        process.stdout.write(
+          `${C.fg.red}${hhmm()} [alert] low disk: ${freeMb}MB free on ${DISK_CHECK_PATH} (< ${DISK_MIN_FREE_MB}MB)${C.reset}\n`,
+        );
+        bus.emit("alert.disk", {
+          path: DISK_CHECK_PATH,
+          freeMb,
+          minMb: DISK_MIN_FREE_MB,
+        });
+      } else if (freeMb >= DISK_MIN_FREE_MB && diskLow) {
+        diskLow = false;
+        process.stdout.write(
+          `${C.dim}${hhmm()}${C.reset} [alert] disk space recovered: ${freeMb}MB free on ${DISK_CHECK_PATH}\n`,
+        );
+      }
+    } catch {}
+  }
+}
+
+if (RESOURCE_CHECK_SEC > 0) {
+  process.nextTick(checkResources); // after webhook subscribers are set up
+  setInterval(checkResources, RESOURCE_CHECK_SEC * 1000).unref();
+}
+
+// ---------- webhooks (optional) ----------
+// Each URL gets its own FIFO worked by one in-flight request, so a slow or
+// dead endpoint only delays itself; nothing here blocks the mirroring path.
+const WEBHOOK_EVENT_NAMES = [
+  "starting",
+  "ready",
+  "crash",
+  "rcon_lost",
+  "rcon_restored",
+  "oom",
+  "low_disk",
+  "hang",
+];
+const WEBHOOK_COLORS = {
+  starting: 0x3498db,
+  ready: 0x2ecc71,
+  crash: 0xe74c3c,
+  rcon_lost: 0xe67e22,
+  rcon_restored: 0x2ecc71,
+  oom: 0xe74c3c,
+  low_disk: 0xe67e22,
+  hang: 0xe74c3c,
+};
+
+function parseWebhookEvents() {
+  const raw = WEBHOOK_EVENTS.trim().toLowerCase();
+  if (!raw || raw === "all") return new Set(WEBHOOK_EVENT_NAMES);
+  const set = new Set();
+  for (const name of raw.split(/[\s,]+/).filter(Boolean)) {
+    if (WEBHOOK_EVENT_NAMES.includes(name)) set.add(name);
+    else {
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [webhook] unknown event "${name}" in WEBHOOK_EVENTS${C.reset}\n`,
+      );
+    }
+  }
+  return set;
+}
+let webhookEvents = parseWebhookEvents();
+
+// "[discord:|json:]<url>"; without a prefix Discord is detected by host/path
+function parseWebhookTarget(spec) {
+  const m = /^(discord|json):(?=https?:)/i.exec(spec);
+  let url;
+  try {
+    url = new URL(m ? spec.slice(m[0].length) : spec);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new Error("not http(s)");
+    }
+  } catch (e) {
+    process.stdout.write(
+      `${C.fg.yellow}${hhmm()} [webhook] ignoring bad URL (${e.message})${C.reset}\n`,
+    );
+    return null;
+  }
+  const discord =
+    /(^|\.)discord(app)?\.com$/i.test(url.hostname) &&
+    url.pathname.startsWith("/api/webhooks/");
+  const format = m ? m[1].toLowerCase() : discord ? "discord" : "json";
+  return { url, format, queue: [], busy: false };
+}
+
+const webhookTargets = WEBHOOK_URLS.split(/[\s,]+/)
+  .filter(Boolean)
+  .map(parseWebhookTarget)
+  .filter(Boolean);
+
+// The run line with values of secret-looking flags (+rcon.password ...) masked
+function redactedRunLine() {
+  const out = [];
+  for (let i = 0; i < params.length; i++) {
+    const a = params[i];
+    out.push(/[^A-Za-z0-9_/.:-]/.test(a) ? `"${a.replace(/"/g, '\\"')}"` : a);
+    if (
+      looksLikeFlag(a) &&
+      /pass|token|secret|key/i.test(a) &&
+      i + 1 < params.length
+    ) {
+      out.push("****");
+      i++;
+    }
+  }
+  return [executable, ...out].join(" ");
+}
+
+function webhookBody(target, event, title, message, fields) {
+  const ts = new Date().toISOString();
+  if (target.format !== "discord") {
+    return { event, server: WEBHOOK_NAME, title, message, ts, ...fields };
+  }
+  const embedFields = Object.entries(fields)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .slice(0, 25)
+    .map(([name, v]) => ({
+      name,
+      value: String(v).slice(0, 1024),
+      inline: true,
+    }));
+  return {
+    embeds: [
+      {
+        title,
+        description: message.slice(0, 4000),
+        color: WEBHOOK_COLORS[event],
+        fields: embedFields,
+        footer: { text: WEBHOOK_NAME },
+        timestamp: ts,
+      },
+    ],
+  };
+}
+
+function notifyWebhook(event, title, message, fields = {}) {
+  if (!webhookTargets.length || !webhookEvents.has(event)) return;
+  for (const t of webhookTargets) {
+    if (t.queue.length >= WEBHOOK_QUEUE_MAX) {
+      const dropped = t.queue.shift();
+      process.stdout.write(
+        `${C.fg.yellow}${hhmm()} [webhook] ${t.url.host} queue full; dropped "${dropped.event}"${C.reset}\n`,
+      );
+    }
+    t.queue.push({
+      event,
+      body: JSON.stringify(webhookBody(t, event, title, message, fields)),
+      attempts: 0,
+    });
+    pumpWebhook(t);
+  }
+}
+
+function postWebhook(url, body) {
+  return new Promise((resolve, reject) => {
+    const lib = url.protocol === "https:" ? https : http;
+    const req = lib.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "cobalt-wrapper",
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+      },
+      (res) => {
+        res.resume();
+        res.on("end", () =>
+          resolve({ status: res.statusCode, headers: res.headers }),
+        );
+      },
+    );
+    req.on("timeout", () => req.destroy(new Error("timed out")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+function pumpWebhook(t) {
+  if (t.busy || !t.queue.length) return;
+  t.busy = true;
+  const item = t.queue[0];
+  const done = (res, err) => {
+    let waitMs = 0;
+    if (res && res.status >= 200 && res.status < 300) {
+      t.queue.shift();
+    } else {
+      item.attempts++;
+      const why = err ? err.message : `HTTP ${res.status}`;
+      // 4xx other than 429 won't get better by retrying
+      const retryable = !!err || res.status === 429 || res.status >= 500;
+      if (!retryable || item.attempts > WEBHOOK_RETRIES) {
+        t.queue.shift();
+        process.stdout.write(
+          `${C.fg.yellow}${hhmm()} [webhook] ${t.url.host} "${item.event}" dropped after ${item.attempts} attempt(s): ${why}${C.reset}\n`,
+        );
+      } else {
+        waitMs = Math.min(60000, 1000 * 2 ** (item.attempts - 1));
+        const retryAfter = res && parseFloat(res.headers["retry-after"]);
+        if (retryAfter > 0) waitMs = Math.max(waitMs, retryAfter * 1000);
+      }
+    }
+    setTimeout(() => {
+      t.busy = false;
+      pumpWebhook(t);
+    }, waitMs);
+  };
+  postWebhook(t.url, item.body).then(
+    (res) => done(res, null),
+    (err) => done(null, err),
+  );
+}
+
+// Resolves once every queue is empty or maxMs has passed.
+function drainWebhooks(maxMs) {
+  const deadline = Date.now() + maxMs;
+  return new Promise((resolve) => {
+    const check = () => {
+      if (
+        webhookTargets.every((t) => !t.queue.length) ||
+        Date.now() >= deadline
+      ) {
+        return resolve();
+      }
+      setTimeout(check, 100);
+    };
+    check();
+  });
+}
+
+if (webhookTargets.length) {
+  process.stdout.write(
+    `${C.dim}${hhmm()}${C.reset} [webhook] ${webhookTargets
+      .map((t) => `${t.url.host} (${t.format})`)
+      .join(", ")}; events: ${[...webhookEvents].join(",") || "none"}\n`,
+  );
+
+  bus.on("game.start", ({ pid }) =>
+    notifyWebhook(
+      "starting",
+      "Server starting",
+      `Executing: ${redactedRunLine()}`,
+      {
+        pid,
+        mode: CONSOLE_MODE,
+      },
+    ),
+  );
+  bus.on("server.ready", () =>
+    notifyWebhook("ready", "Server online", "Server startup complete", {
+      startup: formatDuration(Date.now() - gameStartedAt),
+    }),
+  );
+  bus.on("game.crash", ({ code, signal, respawning }) =>
+    notifyWebhook(
+      "crash",
+      "Server crashed",
+      `RustDedicated exited unexpectedly with ${
+        signal ? `signal ${signal}` : `code ${code}`
+      }`,
+      {
+        code,
+        signal,
+        action: respawning ? "respawning" : "not restarting",
+        crashes: supervisor.recent.length,
+      },
+    ),
+  );
+
+  // drops while the game is quitting/restarting/dying are expected
+  let rconLostNotified = false;
+  bus.on("rcon.lost", ({ mode, reason }) => {
+    setTimeout(() => {
+      if (rconLink.up || !gameRunning || stopping || quitRequested) return;
+      if (restartState.inProgress) return;
+      rconLostNotified = true;
+      notifyWebhook("rcon_lost", "RCON connection lost", reason, { mode });
+    }, 3000).unref();
+  });
+  bus.on("rcon.restored", ({ mode, downMs }) => {
+    if (!rconLostNotified) return;
+    rconLostNotified = false;
+    notifyWebhook("rcon_restored", "RCON connection restored", "RCON is back", {
+      mode,
+      downtime: formatDuration(downMs),
+    });
+  });
+
+  bus.on("alert.oom", ({ kills, total }) =>
+    notifyWebhook(
+      "oom",
+      "Out of memory",
+      "The cgroup OOM killer fired; check memory limits",
+      { kills, total },
+    ),
+  );
+  bus.on("game.hang", ({ reason, file, restart }) =>
+    notifyWebhook("hang", "Server hung", reason, {
+      stacks: file,
+      action: restart ? `restart in ${HANG_RESTART_GRACE_SEC}s` : "none",
+    }),
+  );
+  bus.on("alert.disk", ({ path: dir, freeMb, minMb }) =>
+    notifyWebhook("low_disk", "Low disk space", `${freeMb}MB free on ${dir}`, {
+      free: `${freeMb}MB`,
+      threshold: `${minMb}MB`,
+    }),
+  );
+}
+
+// ---------- crash supervisor ----------
+const supervisor = {
+  restarts: 0, // relaunches of any kind (crash or .restart)
+  crashes: 0, // unexpected exits seen
+  recent: [], // crash timestamps inside CRASH_WINDOW_SEC
+  lastExit: "",
+  timer: null, // pending backoff respawn
+};
+
+// Returns true when a respawn was scheduled for this crash.
+function superviseCrash(exitDesc) {
+  const now = Date.now();
+  supervisor.crashes++;
+  supervisor.recent = supervisor.recent.filter(
+    (t) => now - t < CRASH_WINDOW_SEC * 1000,
+  );
+  supervisor.recent.push(now);
+
+  if (!CRASH_RESTART) return false;
+  if (supervisor.recent.length > CRASH_MAX) {
+    process.stdout.write(
+      `${C.fg.red}${hhmm()} [supervisor] ${supervisor.recent.length} crashes within ${CRASH_WINDOW_SEC}s; giving up${C.reset}\n`,
+    );
+    return false;
+  }
+
+  const delaySec = Math.min(
+    CRASH_BACKOFF_MAX_SEC,
+    CRASH_BACKOFF_SEC * 2 ** (supervisor.recent.length - 1),
+  );
+  process.stdout.write(
+    `${C.fg.red}${hhmm()} [supervisor] unexpected exit (${exitDesc}); respawning in ${delaySec}s (${supervisor.recent.length}/${CRASH_MAX} in window)${C.reset}\n`,
+  );
+
+  supervisor.timer = setTimeout(() => {
+    supervisor.timer = null;
+    if (stopping) return;
+    supervisor.restarts++;
+    process.stdout.write(
+      `${C.dim}${hhmm()}${C.reset} [supervisor] relaunching ${executable}\n`,
+    );
+    spawnGame();
+    armNextScheduledRestart();
+  }, delaySec * 1000);
+  return true;
+}
+
+function exitWrapper(code) {
+  if (tailProc && !tailProc.killed) {
+    try {
+      tailProc.kill("TERM");
+    } catch {}
+  }
+  // shell jobs run in their own process groups and would outlive us
+  for (const job of shellJobs.values()) signalShellJob(job, "SIGTERM");
+  wrapperPlugins.unload(); // their teardowns, e.g. flushing state
+  endAllSessions("wrapper stopped");
+  // give queued notifications (e.g. the crash that got us here) a moment
+  drainWebhooks(5000).then(() => process.exit(code));
+}
+
+// ---------- signals ----------
+let stopping = false;
+
+["SIGTERM", "SIGINT"].forEach((sig) => {
+  process.on(sig, () => {
+    if (stopping) {
+      // second signal: stop waiting on the save/quit sequence
+      if (gameRunning) {
+        process.stdout.write(
+          `${C.fg.red}${hhmm()} [shutdown] ${sig} again; killing the server now${C.reset}\n`,
+        );
+        clearStopSequence();
+        killGame("SIGKILL");
+      } else {
+        exitWrapper(0);
+      }
+      return;
+    }
+    stopping = true;
+    cancelRestart();
+    restartState.relaunch = false;
+    if (supervisor.timer) {
+      // waiting out a crash backoff: nothing left to stop
+      clearTimeout(supervisor.timer);
+      supervisor.timer = null;
+      exitWrapper(0);
+    }
+    if (gameRunning) {
+      const line = `${C.dim}${hhmm()}${C.reset} stopping server...`;
+      process.stdout.write(`${line}\n`);
+      stopGame({
+        tag: "shutdown",
+        warnCmd: SHUTDOWN_WARN_CMD,
+        warnSec: SHUTDOWN_WARN_SEC,
+        saveWaitSec: SHUTDOWN_TIMEOUT_SEC,
+        termAfterSec: SHUTDOWN_TIMEOUT_SEC,
+        deadlineSec: SHUTDOWN_TIMEOUT_SEC,
+      });
+    }
+  });
+});
+
+function flushBuffers() {
+  // flush any partial buffered line fragments
+  logMirror.flush();
+}
+
+function onGameExit(code, signal) {
+  gameRunning = false;
+  clearStopSequence();
+  flushBuffers();
+
+  const summary = `${C.dim}${hhmm()}${C.reset} exited with code: ${code}${
+    signal ? ` (${signal})` : ""
+  }`;
+  process.stdout.write(`${summary}\n`);
+  bus.emit("game.exit", { code, signal });
+
+  const exitDesc = signal ? `signal ${signal}` : `code ${code}`;
+
+  if (restartState.relaunch && !stopping) {
+    supervisor.lastExit = `restart (${exitDesc})`;
+    supervisor.restarts++;
+    finishRestart();
+    return;
+  }
+
+  // SIGTERM/SIGINT, a panel "quit" or a clean exit 0 are not crashes
+  if (stopping || quitRequested || (code === 0 && !signal)) {
+    supervisor.lastExit = `stopped (${exitDesc})`;
+    exitWrapper(code ?? 0);
+    return;
+  }
+
+  supervisor.lastExit = `crash (${exitDesc})`;
+  cancelRestart();
+  checkResources(); // an OOM kill should be reported alongside the crash
+  const respawning = superviseCrash(exitDesc);
+  bus.emit("game.crash", { code, signal, respawning });
+  if (respawning) return;
+  exitWrapper(code ?? 1);
+}
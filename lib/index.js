@@ -0,0 +1,10 @@
+// Programmatic API: the wrapper's reusable parts, free of side effects.
+module.exports = {
+  ...require("./argv"),
+  ...require("./rcon-legacy"),
+  ...require("./webrcon"),
+  ...require("./log-mirror"),
+  ...require("./input-router"),
+  ...require("./telemetry"),
+  ...require("./plugin-host"),
+};
@@ -0,0 +1,89 @@
+// Console input routing: "! <cmd>" goes to a shell handler, ".name [args]"
+// to a registered dot-command, anything else to the game over stdin or RCON.
+//
+//   const router = createInputRouter({ hasRcon: () => !!pass, game, shell });
+//   router.command("ping", (args) => ({ route: "wrapper" }));
+//   router.dispatch(".ping");       // -> the handler's result
+//   router.dispatch("rcon: status") // -> game("rcon", "status", source)
+//
+// Game lines take the default route from router.mode (stdin | rcon | auto;
+// auto = rcon when hasRcon()) unless prefixed with "stdin:", "console:" or
+// "rcon:". rcon without RCON falls back to stdin (fellBack: true).
+const MODES = ["stdin", "rcon", "auto"];
+
+const PREFIXES = [
+  ["stdin:", "stdin"],
+  ["console:", "stdin"],
+  ["rcon:", "rcon"],
+];
+
+function createInputRouter({
+  mode = "auto",
+  hasRcon = () => false,
+  game = () => null,
+  shell = null,
+} = {}) {
+  const commands = new Map(); // lowercase name -> handler(args, line, source)
+  const router = { mode: MODES.includes(mode) ? mode : "auto" };
+
+  // false (and no change) for an unknown mode
+  router.setMode = (m) => {
+    const next = String(m || "").toLowerCase();
+    if (!MODES.includes(next)) return false;
+    router.mode = next;
+    return true;
+  };
+
+  // Handlers return the dispatch result; undefined counts as
+  // { route: "wrapper" }. Registering a name again replaces its handler.
+  router.command = (name, handler) => {
+    commands.set(name.toLowerCase(), handler);
+  };
+  router.removeCommand = (name) => commands.delete(name.toLowerCase());
+  router.commands = () => [...commands.keys()];
+
+  // -> { route: "stdin" | "rcon", payload, fellBack }
+  router.resolveRoute = (line, forcedRoute) => {
+    let route = router.mode;
+    let payload = line;
+    if (forcedRoute) {
+      route = forcedRoute;
+    } else {
+      const lower = line.toLowerCase();
+      for (const [prefix, target] of PREFIXES) {
+        if (!lower.startsWith(prefix)) continue;
+        route = target;
+        payload = line.slice(prefix.length).trimStart();
+        break;
+      }
+    }
+    if (route === "auto") route = hasRcon() ? "rcon" : "stdin";
+    let fellBack = false;
+    if (route === "rcon" && !hasRcon()) {
+      route = "stdin";
+      fellBack = true;
+    }
+    return { route, payload, fellBack };
+  };
+
+  // One trimmed line; returns the handler's / game()'s result
+  router.dispatch = (line, source = "panel") => {
+    if (shell && line.startsWith("!")) {
+      return shell(line.slice(1).trim(), source);
+    }
+
+    const m = /^\.(\S+)(?:\s+([\s\S]*))?$/.exec(line);
+    const handler = m && commands.get(m[1].toLowerCase());
+    if (handler) {
+      const result = handler((m[2] || "").trim(), line, source);
+      return result === undefined ? { route: "wrapper" } : result;
+    }
+
+    const { route, payload, fellBack } = router.resolveRoute(line);
+    return game(route, payload, source, fellBack);
+  };
+
+  return router;
+}
+
+module.exports = { MODES, createInputRouter };
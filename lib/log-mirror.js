@@ -0,0 +1,48 @@
+// Splits raw output chunks from several sources (game stdout/stderr, a tailed
+// log file, ...) into complete lines, buffering partial lines per stream.
+//
+//   const mirror = createLogMirror();
+//   mirror.on("data", ({ text }) => file.write(text));
+//   mirror.on("line", ({ source, isErr, line, partial }) => ...);
+//   child.stdout.on("data", (d) => mirror.write("game", d));
+//
+// "data" gets every chunk as text with \r removed (what a log file should
+// hold); "line" gets each complete line, and flush() hands out whatever
+// partial lines are left with partial: true.
+const EventEmitter = require("events");
+
+function createLogMirror() {
+  const mirror = new EventEmitter();
+  const buffers = Object.create(null); // "source:out|err" -> partial line
+
+  mirror.write = (source, chunk, isErr = false) => {
+    const key = source + (isErr ? ":err" : ":out");
+    const raw = chunk.toString();
+    mirror.emit("data", { source, isErr, text: raw.replace(/\r/g, "") });
+
+    const lines = ((buffers[key] || "") + raw).split(/\r?\n/);
+    buffers[key] = lines.pop();
+    for (const line of lines) {
+      mirror.emit("line", { source, isErr, line, partial: false });
+    }
+  };
+
+  mirror.flush = () => {
+    for (const key of Object.keys(buffers)) {
+      const rem = buffers[key];
+      if (!rem) continue;
+      buffers[key] = "";
+      const [source, stream] = key.split(":");
+      mirror.emit("line", {
+        source,
+        isErr: stream === "err",
+        line: rem,
+        partial: true,
+      });
+    }
+  };
+
+  return mirror;
+}
+
+module.exports = { createLogMirror };
@@ -0,0 +1,252 @@
+// Loads wrapper plugins (plain CommonJS modules) from one directory and runs
+// their hooks behind a per-plugin error boundary.
+//
+//   const host = createPluginHost({ dir, api: (ctx) => ({ ... }) });
+//   host.load();
+//   const shown = host.filterLine({ source, isErr, line }); // string | false
+//   host.notify("rconReply", { command, body });
+//
+// Each *.js / *.cjs file or subdirectory (index.js / package.json main) in dir
+// is a plugin; names starting with "." or "_" are skipped. A plugin exports
+// setup(api) either directly or as { name?, setup }, and setup may return a
+// teardown function. The api always has:
+//   name, onLine(fn), onRconReply(fn), onUnload(fn), setTimeout, setInterval
+// plus whatever options.api(ctx) adds (ctx: { plugin, guard, track, tag }).
+// tag(e) marks an error as the plugin's, for rejections whose stack never
+// passes through the plugin file (e.g. a dropped RCON promise).
+//
+// Line hooks return a string to rewrite the line or false to suppress it;
+// anything else leaves it alone. A hook that throws (or rejects) is counted
+// against its plugin; errorLimit errors (0 = no limit) disable the plugin and
+// undo everything it registered.
+const fs = require("fs");
+const path = require("path");
+
+const HOOKS = ["line", "rconReply"];
+const OWNER = Symbol("wrapper plugin");
+
+function createPluginHost({
+  dir = "",
+  errorLimit = 5,
+  api = () => ({}),
+  log = () => {},
+} = {}) {
+  const host = { dir, errorLimit };
+  let plugins = []; // records in load order
+  let loadedDir = ""; // absolute dir the current records came from
+
+  function describe(e) {
+    return (e && e.message) || String(e);
+  }
+
+  function fail(plugin, where, e) {
+    plugin.errors++;
+    plugin.lastError = `${where}: ${describe(e)}`;
+    log("error", plugin.name, plugin.lastError);
+    if (
+      plugin.state === "loaded" &&
+      host.errorLimit > 0 &&
+      plugin.errors >= host.errorLimit
+    ) {
+      plugin.state = "disabled";
+      teardown(plugin);
+      log("warn", plugin.name, `disabled after ${plugin.errors} errors`);
+    }
+  }
+
+  // Calls fn inside the plugin's error boundary; undefined once it is not loaded
+  function guard(plugin, where, fn, ...args) {
+    if (plugin.state !== "loaded" && where !== "teardown") return undefined;
+    try {
+      const r = fn(...args);
+      if (r && typeof r.then === "function") {
+        r.then(null, (e) => fail(plugin, where, e));
+      }
+      return r;
+    } catch (e) {
+      fail(plugin, where, e);
+      return undefined;
+    }
+  }
+
+  function teardown(plugin) {
+    for (const fn of plugin.disposers.splice(0).reverse()) {
+      guard(plugin, "teardown", fn);
+    }
+    for (const name of HOOKS) plugin.hooks[name] = [];
+  }
+
+  function baseApi(plugin) {
+    const track = (dispose) => plugin.disposers.push(dispose);
+    const hook = (name) => (fn) => {
+      plugin.hooks[name].push(fn);
+    };
+    const timer =
+      (set, clear, where) =>
+      (fn, ms, ...args) => {
+        const t = set(() => guard(plugin, where, fn, ...args), ms);
+        track(() => clear(t));
+        return t;
+      };
+    return {
+      name: plugin.name,
+      onLine: hook("line"),
+      onRconReply: hook("rconReply"),
+      onUnload: track,
+      setTimeout: timer(setTimeout, clearTimeout, "timeout"),
+      setInterval: timer(setInterval, clearInterval, "interval"),
+    };
+  }
+
+  function pluginFiles() {
+    return fs
+      .readdirSync(loadedDir, { withFileTypes: true })
+      .filter((d) => !/^[._]/.test(d.name))
+      .filter((d) => d.isDirectory() || /\.c?js$/.test(d.name))
+      .map((d) => path.join(loadedDir, d.name))
+      .sort();
+  }
+
+  function loadOne(file) {
+    const plugin = {
+      name: path.basename(file).replace(/\.c?js$/, ""),
+      file,
+      state: "loaded",
+      errors: 0,
+      lastError: "",
+      hooks: { line: [], rconReply: [] },
+      disposers: [],
+    };
+    plugins.push(plugin);
+
+    let mod;
+    try {
+      mod = require(file);
+      const setup = typeof mod === "function" ? mod : mod && mod.setup;
+      if (typeof setup !== "function") {
+        throw new Error("exports neither a function nor { setup }");
+      }
+      if (mod.name && typeof mod !== "function") plugin.name = String(mod.name);
+      plugin.setup = setup;
+    } catch (e) {
+      plugin.state = "failed";
+      plugin.lastError = `load: ${describe(e)}`;
+      log("error", plugin.name, plugin.lastError);
+      return plugin;
+    }
+
+    const ctx = {
+      plugin,
+      guard: (where, fn, ...args) => guard(plugin, where, fn, ...args),
+      track: (dispose) => plugin.disposers.push(dispose),
+      tag: (e) => {
+        if (e && typeof e === "object") e[OWNER] = plugin;
+        return e;
+      },
+    };
+    try {
+      const done = plugin.setup({ ...baseApi(plugin), ...api(ctx) });
+      if (typeof done === "function") {
+        plugin.disposers.push(done);
+      } else if (done && typeof done.then === "function") {
+        done.then(null, (e) => fail(plugin, "setup", e));
+      }
+    } catch (e) {
+      // don't leave half of it registered
+      teardown(plugin);
+      plugin.state = "failed";
+      plugin.lastError = `setup: ${describe(e)}`;
+      log("error", plugin.name, plugin.lastError);
+    }
+    return plugin;
+  }
+
+  // (Re)loads every plugin in dir; returns the records
+  host.load = () => {
+    host.unload();
+    if (!host.dir) return plugins;
+    loadedDir = path.resolve(host.dir);
+    let files;
+    try {
+      files = pluginFiles();
+    } catch (e) {
+      log("error", null, `${host.dir}: ${describe(e)}`);
+      return plugins;
+    }
+    for (const file of files) {
+      const plugin = loadOne(file);
+      if (plugin.state === "loaded") log("info", plugin.name, "loaded");
+    }
+    return plugins;
+  };
+
+  // Tears every plugin down and forgets its modules so a load() re-reads them
+  host.unload = () => {
+    for (const plugin of plugins) {
+      if (plugin.state === "loaded") teardown(plugin);
+    }
+    plugins = [];
+    if (!loadedDir) return;
+    const prefix = loadedDir + path.sep;
+    for (const key of Object.keys(require.cache)) {
+      if (key.startsWith(prefix)) delete require.cache[key];
+    }
+    loadedDir = "";
+  };
+
+  // -> [{ name, file, state: loaded|failed|disabled, errors, lastError, hooks }]
+  host.list = () =>
+    plugins.map((p) => ({
+      name: p.name,
+      file: p.file,
+      state: p.state,
+      errors: p.errors,
+      lastError: p.lastError,
+      hooks: HOOKS.filter((h) => p.hooks[h].length),
+    }));
+
+  // Runs the line hooks in load order, each seeing the previous rewrite.
+  // -> the line to show, or false when a hook suppressed it
+  host.filterLine = (entry) => {
+    let line = entry.line;
+    for (const plugin of plugins) {
+      for (const fn of plugin.hooks.line) {
+        const r = guard(plugin, "line", fn, { ...entry, line });
+        if (r === false) return false;
+        if (typeof r === "string") line = r;
+      }
+    }
+    return line;
+  };
+
+  // Observe-only hooks (rconReply)
+  host.notify = (name, payload) => {
+    for (const plugin of plugins) {
+      for (const fn of plugin.hooks[name]) guard(plugin, name, fn, payload);
+    }
+  };
+
+  // Charges an uncaught error to the plugin that tagged it or whose file is
+  // in its stack. -> the plugin's name, or null when it isn't one of ours
+  host.claim = (e) => {
+    const owner = e && typeof e === "object" ? e[OWNER] : null;
+    if (owner) {
+      fail(owner, "uncaught", e);
+      return owner.name;
+    }
+    const stack = String((e && e.stack) || "");
+    for (const plugin of plugins) {
+      const own =
+        stack.includes(plugin.file + path.sep) ||
+        stack.includes(plugin.file + ":");
+      if (!own) continue;
+      fail(plugin, "uncaught", e);
+      return plugin.name;
+    }
+    return null;
+  };
+
+  return host;
+}
+
+module.exports = { createPluginHost };
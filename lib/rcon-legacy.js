@@ -0,0 +1,251 @@
+// Legacy (Source-style TCP) RCON client: one persistent authed connection,
+// replies matched to commands by id and completed by an empty terminator
+// packet echoed back after the command's output.
+//
+//   const rcon = createLegacyRcon({ host, port, password });
+//   rcon.send("serverinfo").then((body) => ...);
+//
+// Events: "auth", "rejected" (bad password), "reply" ({ command, body, opts }),
+// "message" (unsolicited body), "close", "error" (only if someone listens;
+// framing errors carry code RCON_PROTOCOL). Failures also reject send().
+const EventEmitter = require("events");
+const net = require("net");
+
+const SERVERDATA_AUTH = 3;
+const SERVERDATA_AUTH_RESPONSE = 2;
+const SERVERDATA_EXECCOMMAND = 2;
+const SERVERDATA_RESPONSE_VALUE = 0;
+
+// Largest packet we accept; Source caps bodies at 4096 but Rust can exceed it
+const RCON_MAX_PACKET = 1024 * 1024;
+
+const AUTH_ID = 1;
+
+function pkt(id, type, body) {
+  const b = Buffer.from(String(body), "utf8");
+  const len = 4 + 4 + b.length + 2;
+  const buf = Buffer.alloc(4 + len);
+  buf.writeInt32LE(len, 0);
+  buf.writeInt32LE(id, 4);
+  buf.writeInt32LE(type, 8);
+  b.copy(buf, 12);
+  buf.writeInt8(0, 12 + b.length);
+  buf.writeInt8(0, 13 + b.length);
+  return buf;
+}
+
+// Reassembles length-framed packets from arbitrary TCP chunks.
+function createPacketParser(onPacket) {
+  let pending = Buffer.alloc(0);
+  return (chunk) => {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    while (pending.length >= 4) {
+      const len = pending.readInt32LE(0);
+      if (len < 10 || len > RCON_MAX_PACKET) {
+        pending = Buffer.alloc(0);
+        throw new Error(`bad packet length ${len}`);
+      }
+      if (pending.length < 4 + len) break;
+      const id = pending.readInt32LE(4);
+      const type = pending.readInt32LE(8);
+      let end = 4 + len - 2;
+      while (end > 12 && pending[end - 1] === 0) end--;
+      const body = pending.toString("utf8", 12, end);
+      pending = pending.subarray(4 + len);
+      onPacket({ id, type, body });
+    }
+  };
+}
+
+// Timeouts mean the command reached the server but no reply came back;
+// callers must not resend them over another route.
+function rconTimeoutError(ms) {
+  const e = new Error(`RCON timeout after ${ms}ms`);
+  e.code = "RCON_TIMEOUT";
+  return e;
+}
+
+// timeoutMs can be changed on the returned client at any time.
+function createLegacyRcon({
+  host = "127.0.0.1",
+  port = 28016,
+  password = "",
+  timeoutMs = 10000,
+  authTimeoutMs = 2000,
+} = {}) {
+  const client = new EventEmitter();
+  client.timeoutMs = timeoutMs;
+
+  let socket = null;
+  let ready = false;
+  const waiters = new Set(); // connect() calls waiting for auth
+
+  // id -> { cmd, opts, parts, termId, resolve, reject, timer };
+  // terminator id -> request id
+  const pending = new Map();
+  const terminators = new Map();
+  let nextId = AUTH_ID;
+
+  const nextRequestId = () => {
+    nextId = nextId >= 0x7fffffff ? 2 : nextId + 1;
+    return nextId;
+  };
+
+  const emitError = (e) => {
+    if (client.listenerCount("error")) client.emit("error", e);
+  };
+
+  function wake(err) {
+    for (const w of [...waiters]) w(err);
+  }
+
+  function settle(id, err) {
+    const req = pending.get(id);
+    if (!req) return;
+    pending.delete(id);
+    terminators.delete(req.termId);
+    clearTimeout(req.timer);
+    if (err) return req.reject(err);
+    const body = req.parts.join("");
+    client.emit("reply", { command: req.cmd, body, opts: req.opts });
+    req.resolve(body);
+  }
+
+  function onPacket(s, p) {
+    if (s !== socket) return;
+    if (!ready) {
+      // auth answers with an empty RESPONSE_VALUE, then AUTH_RESPONSE (-1 = bad pass)
+      if (p.type !== SERVERDATA_AUTH_RESPONSE) return;
+      if (p.id === -1) {
+        client.emit("rejected");
+        wake(new Error("RCON auth rejected"));
+        s.destroy();
+        return;
+      }
+      ready = true;
+      client.emit("auth");
+      wake();
+      return;
+    }
+
+    if (p.type !== SERVERDATA_RESPONSE_VALUE) return;
+    if (terminators.has(p.id)) {
+      // the empty packet we sent after the command came back: reply is complete
+      settle(terminators.get(p.id));
+      return;
+    }
+    const req = pending.get(p.id);
+    if (req) req.parts.push(p.body);
+    else client.emit("message", p.body);
+  }
+
+  function open() {
+    const s = net.createConnection({ host, port }, () => {
+      try {
+        s.write(pkt(AUTH_ID, SERVERDATA_AUTH, password));
+      } catch (e) {
+        s.destroy(e);
+      }
+    });
+    socket = s;
+    ready = false;
+
+    const parse = createPacketParser((p) => onPacket(s, p));
+    s.on("data", (d) => {
+      try {
+        parse(d);
+      } catch (e) {
+        e.code = "RCON_PROTOCOL";
+        emitError(e);
+        s.destroy();
+      }
+    });
+
+    s.on("error", (e) => {
+      emitError(e);
+      if (socket === s) {
+        socket = null;
+        ready = false;
+      }
+    });
+
+    s.on("close", () => {
+      if (socket === s) {
+        socket = null;
+        ready = false;
+      }
+      for (const id of [...pending.keys()]) {
+        settle(id, new Error("RCON connection closed"));
+      }
+      wake(new Error("RCON connection failed"));
+      client.emit("close");
+    });
+  }
+
+  // Resolves once authed, reusing the open connection when there is one
+  client.connect = () => {
+    if (!password) return Promise.reject(new Error("RCON password not set"));
+    if (socket && ready) return Promise.resolve();
+    if (!socket) open();
+    return new Promise((resolve, reject) => {
+      const done = (err) => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        if (err) reject(err);
+        else resolve();
+      };
+      const timer = setTimeout(
+        () => done(new Error("RCON auth timeout")),
+        authTimeoutMs,
+      );
+      waiters.add(done);
+    });
+  };
+
+  // Resolves with the command's reply body. Servers that don't mirror the
+  // terminator packet resolve with whatever arrived once timeoutMs passes.
+  // `opts` is handed back on the "reply" event.
+  client.send = (cmd, opts = {}) => {
+    if (!String(cmd).trim()) return Promise.resolve("");
+    return client.connect().then(
+      () =>
+        new Promise((resolve, reject) => {
+          const id = nextRequestId();
+          const termId = nextRequestId();
+          const req = { cmd, opts, parts: [], termId, resolve, reject };
+          req.timer = setTimeout(() => {
+            if (req.parts.length) return settle(id);
+            settle(id, rconTimeoutError(client.timeoutMs));
+          }, client.timeoutMs);
+          pending.set(id, req);
+          terminators.set(termId, id);
+
+          try {
+            socket.write(pkt(id, SERVERDATA_EXECCOMMAND, cmd));
+            socket.write(pkt(termId, SERVERDATA_RESPONSE_VALUE, ""));
+          } catch (e) {
+            settle(id, e);
+          }
+        }),
+    );
+  };
+
+  client.isReady = () => !!socket && ready;
+
+  client.close = () => {
+    if (socket) socket.destroy();
+  };
+
+  return client;
+}
+
+module.exports = {
+  SERVERDATA_AUTH,
+  SERVERDATA_AUTH_RESPONSE,
+  SERVERDATA_EXECCOMMAND,
+  SERVERDATA_RESPONSE_VALUE,
+  pkt,
+  createPacketParser,
+  rconTimeoutError,
+  createLegacyRcon,
+};
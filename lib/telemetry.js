@@ -0,0 +1,189 @@
+// /proc sampling for a game process (CPU, memory, threads, FDs, I/O) plus the
+// calling process's own CPU use. Linux only; everything degrades to null.
+const { execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+
+const CLK_TCK = (() => {
+  try {
+    return (
+      parseInt(
+        execSync("getconf CLK_TCK", { stdio: ["ignore", "pipe", "ignore"] })
+          .toString()
+          .trim(),
+        10,
+      ) || 100
+    );
+  } catch {
+    return 100;
+  }
+})();
+
+// Returns null when the pid is gone. cpuSeconds is cumulative user+system.
+function readProcStats(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, "utf8");
+    // comm may contain spaces/parens; fields resume after the last ')'
+    const f = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    const status = fs.readFileSync(`/proc/${pid}/status`, "utf8");
+    const kb = (key) => {
+      const m = new RegExp(`^${key}:\\s+(\\d+)`, "m").exec(status);
+      return m ? parseInt(m[1], 10) * 1024 : 0;
+    };
+
+    let fds = 0;
+    try {
+      fds = fs.readdirSync(`/proc/${pid}/fd`).length;
+    } catch {
+      // not ours to read
+    }
+
+    // read_bytes/write_bytes hit the block layer; needs same uid or ptrace
+    let readBytes = null;
+    let writeBytes = null;
+    try {
+      const io = fs.readFileSync(`/proc/${pid}/io`, "utf8");
+      readBytes = parseInt(/^read_bytes:\s+(\d+)/m.exec(io)[1], 10);
+      writeBytes = parseInt(/^write_bytes:\s+(\d+)/m.exec(io)[1], 10);
+    } catch {}
+
+    return {
+      state: f[0],
+      cpuSeconds: (parseInt(f[11], 10) + parseInt(f[12], 10)) / CLK_TCK,
+      threads: parseInt(f[17], 10),
+      rssBytes: kb("VmRSS"),
+      swapBytes: kb("VmSwap"),
+      fds,
+      readBytes,
+      writeBytes,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Lowest-pid process named `comm` on the box, or null
+function findProcessByName(comm = "RustDedicated") {
+  try {
+    const pids = [];
+    for (const ent of fs.readdirSync("/proc", { withFileTypes: true })) {
+      if (!ent.isDirectory() || !/^\d+$/.test(ent.name)) continue;
+      const pid = parseInt(ent.name, 10);
+      if (pid <= 1) continue;
+      try {
+        if (fs.readFileSync(`/proc/${pid}/comm`, "utf8").trim() === comm) {
+          pids.push(pid);
+        }
+      } catch {
+        // ignore races / permission issues
+      }
+    }
+    if (pids.length) return Math.min(...pids);
+  } catch {}
+  return null;
+}
+
+// The real game pid under `rootPid` (script/stdbuf may sit in between): the
+// first descendant named `comm`, else the deepest descendant, else null.
+function findGamePid(rootPid, comm = "RustDedicated") {
+  const children = new Map(); // ppid -> [{ pid, comm }]
+  let ownComm = "";
+  try {
+    for (const name of fs.readdirSync("/proc")) {
+      if (!/^\d+$/.test(name)) continue;
+      try {
+        const stat = fs.readFileSync(`/proc/${name}/stat`, "utf8");
+        const c = stat.slice(stat.indexOf("(") + 1, stat.lastIndexOf(")"));
+        const ppid = parseInt(
+          stat.slice(stat.lastIndexOf(")") + 2).split(" ")[1],
+          10,
+        );
+        if (parseInt(name, 10) === rootPid) ownComm = c;
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push({ pid: parseInt(name, 10), comm: c });
+      } catch {
+        // raced with an exiting process
+      }
+    }
+  } catch {}
+
+  if (ownComm === comm) return rootPid;
+  let leaf = null;
+  const queue = [rootPid];
+  while (queue.length) {
+    for (const kid of children.get(queue.shift()) || []) {
+      if (kid.comm === comm) return kid.pid;
+      leaf = kid.pid;
+      queue.push(kid.pid);
+    }
+  }
+  return leaf;
+}
+
+// Per-process rate state: sample(pid, startedAt) compares against the
+// previous sample of the same pid; the first one averages over the time since
+// `startedAt` (counters start at 0 on launch).
+function createProcessSampler() {
+  let last = null; // { pid, at, cpuSeconds, readBytes, writeBytes }
+
+  function sample(pid, startedAt) {
+    const st = pid ? readProcStats(pid) : null;
+    if (!st) {
+      last = null;
+      return null;
+    }
+
+    const now = Date.now();
+    const prev =
+      last && last.pid === pid
+        ? last
+        : { at: startedAt, cpuSeconds: 0, readBytes: 0, writeBytes: 0 };
+    last = { pid, at: now, ...st };
+
+    const elapsedSec = (now - prev.at) / 1000;
+    const rate = (cur, old) =>
+      elapsedSec > 0 && cur !== null && old !== null
+        ? Math.max(0, cur - old) / elapsedSec
+        : null;
+
+    const cpuPercent =
+      elapsedSec > 0
+        ? ((st.cpuSeconds - prev.cpuSeconds) / elapsedSec) * 100
+        : null;
+
+    return {
+      pid,
+      ...st,
+      cpuPercent, // 100% = 1 core fully used
+      cpuPercentAll: cpuPercent === null ? null : cpuPercent / os.cpus().length,
+      readRate: rate(st.readBytes, prev.readBytes),
+      writeRate: rate(st.writeBytes, prev.writeBytes),
+    };
+  }
+
+  return { sample, reset: () => (last = null) };
+}
+
+// This process's CPU % since the previous call (100% = 1 core fully used)
+function createCpuMeter() {
+  let lastUsage = process.cpuUsage();
+  let lastTime = Date.now();
+  return () => {
+    const now = Date.now();
+    const diff = process.cpuUsage(lastUsage);
+    const elapsedMs = now - lastTime;
+    lastUsage = process.cpuUsage();
+    lastTime = now;
+    if (elapsedMs <= 0) return 0;
+    return ((diff.user + diff.system) / 1000 / elapsedMs) * 100;
+  };
+}
+
+module.exports = {
+  CLK_TCK,
+  readProcStats,
+  findProcessByName,
+  findGamePid,
+  createProcessSampler,
+  createCpuMeter,
+};
@@ -0,0 +1,202 @@
+// WebRCON (Rust's WebSocket JSON RCON) client. Needs the optional `ws`
+// package, or any compatible WebSocket class passed as `WebSocket`.
+//
+//   const rcon = createWebRcon({ host, port, password });
+//   rcon.on("broadcast", ({ type, message }) => ...);
+//   rcon.send("serverinfo").then((body) => ...);
+//
+// Events: "open", "reply" ({ command, body, opts, late }), "broadcast"
+// ({ type, message }: console log, Chat, Warning, Error), "close", "error"
+// (only if someone listens; decode errors carry code RCON_PROTOCOL).
+const EventEmitter = require("events");
+const { rconTimeoutError } = require("./rcon-legacy");
+
+let DefaultWebSocket = null;
+try {
+  DefaultWebSocket = require("ws");
+} catch {
+  // only required for RCON_MODE=web
+}
+
+// Control characters Rust leaves in messages (keeps \t and \n)
+const cleanWebText = (s) => s.replace(/[\x00-\x08\x0B-\x1F\x7F]/g, "");
+
+// timeoutMs can be changed on the returned client at any time.
+function createWebRcon({
+  host = "127.0.0.1",
+  port = 28016,
+  password = "",
+  timeoutMs = 10000,
+  connectTimeoutMs = 4000,
+  WebSocket = DefaultWebSocket,
+} = {}) {
+  const client = new EventEmitter();
+  client.timeoutMs = timeoutMs;
+
+  let ws = null;
+  let ready = false;
+  const waiters = new Set(); // connect() calls waiting for the socket
+
+  // Identifier -> { cmd, opts, resolve, reject, timer }. Identifiers <= 0 are
+  // the server's own broadcasts (console log, chat), so ours start at 1.
+  const pending = new Map();
+  let nextId = 0;
+
+  const nextRequestId = () => {
+    nextId = nextId >= 0x7fffffff ? 1 : nextId + 1;
+    return nextId;
+  };
+
+  const emitError = (e) => {
+    if (client.listenerCount("error")) client.emit("error", e);
+  };
+
+  function wake(err) {
+    for (const w of [...waiters]) w(err);
+  }
+
+  function settle(id, err, body) {
+    const req = pending.get(id);
+    if (!req) return;
+    pending.delete(id);
+    clearTimeout(req.timer);
+    if (err) return req.reject(err);
+    req.resolve(body);
+  }
+
+  function onMessage(txt) {
+    // Rust WebRCON sends JSON: { Identifier, Message, Type, ... }
+    let obj = null;
+    try {
+      obj = JSON.parse(txt);
+    } catch {
+      obj = null;
+    }
+
+    if (!obj || typeof obj.Message !== "string") {
+      // fallback: treat raw text as the body
+      client.emit("broadcast", { type: "Generic", message: txt });
+      return;
+    }
+
+    const id = Number(obj.Identifier) || 0;
+    if (id > 0) {
+      // reply to one of ours (possibly late, after its timeout fired)
+      const req = pending.get(id);
+      client.emit("reply", {
+        command: req ? req.cmd : null,
+        body: obj.Message,
+        opts: req ? req.opts : null,
+        late: !req,
+      });
+      settle(id, null, obj.Message);
+      return;
+    }
+    client.emit("broadcast", { type: obj.Type, message: obj.Message });
+  }
+
+  function open() {
+    const url = `ws://${host}:${port}/${encodeURIComponent(password)}`;
+    const sock = new WebSocket(url);
+    ws = sock;
+    ready = false;
+
+    sock.on("open", () => {
+      if (ws !== sock) return;
+      ready = true;
+      client.emit("open");
+      wake();
+    });
+
+    sock.on("message", (data) => {
+      try {
+        onMessage(data.toString("utf8"));
+      } catch (e) {
+        e.code = "RCON_PROTOCOL";
+        emitError(e);
+      }
+    });
+
+    sock.on("error", (e) => {
+      emitError(e);
+      if (ws === sock) {
+        ws = null;
+        ready = false;
+      }
+    });
+
+    sock.on("close", () => {
+      if (ws === sock) {
+        ws = null;
+        ready = false;
+      }
+      for (const id of [...pending.keys()]) {
+        settle(id, new Error("WebRCON connection closed"));
+      }
+      wake(new Error("WebRCON connection failed"));
+      client.emit("close");
+    });
+  }
+
+  // Resolves once the socket is open, reusing it when there is one
+  client.connect = () => {
+    if (!password) return Promise.reject(new Error("RCON password not set"));
+    if (!WebSocket) {
+      return Promise.reject(
+        new Error("WebRCON mode requires 'ws' package (npm install ws)"),
+      );
+    }
+    if (ws && ready) return Promise.resolve();
+    if (!ws) open();
+    return new Promise((resolve, reject) => {
+      const done = (err) => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        if (err) reject(err);
+        else resolve();
+      };
+      const timer = setTimeout(
+        () => done(new Error("WebRCON connect timeout")),
+        connectTimeoutMs,
+      );
+      waiters.add(done);
+    });
+  };
+
+  // Resolves with the reply's Message, or rejects after timeoutMs.
+  // `opts` is handed back on the "reply" event.
+  client.send = (cmd, opts = {}) => {
+    if (!String(cmd).trim()) return Promise.resolve("");
+    return client.connect().then(
+      () =>
+        new Promise((resolve, reject) => {
+          const id = nextRequestId();
+          const req = { cmd, opts, resolve, reject };
+          req.timer = setTimeout(
+            () => settle(id, rconTimeoutError(client.timeoutMs)),
+            client.timeoutMs,
+          );
+          pending.set(id, req);
+
+          try {
+            const payload = { Identifier: id, Message: cmd, Name: "WebRcon" };
+            ws.send(JSON.stringify(payload), (err) => {
+              if (err) settle(id, err);
+            });
+          } catch (e) {
+            settle(id, e);
+          }
+        }),
+    );
+  };
+
+  client.isReady = () => !!ws && ready;
+
+  client.close = () => {
+    if (ws) ws.close();
+  };
+
+  return client;
+}
+
+module.exports = { cleanWebText, createWebRcon };
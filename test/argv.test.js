@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  repairSplitArgs,
+  decodeArgv,
+  argValue,
+  formatArgv,
+} = require("../lib/argv");
+
+test("repairSplitArgs re-joins values split on spaces", () => {
+  const split = [
+    "+server.hostname",
+    "My",
+    "Cool",
+    "Server",
+    "-batchmode",
+    "+server.port",
+    "28015",
+  ];
+  assert.deepStrictEqual(repairSplitArgs(split), [
+    "+server.hostname",
+    "My Cool Server",
+    "-batchmode",
+    "+server.port",
+    "28015",
+  ]);
+});
+
+test("repairSplitArgs leaves switch-only flags without a value", () => {
+  assert.deepStrictEqual(
+    repairSplitArgs(["-batchmode", "-nographics", "+x", "1"]),
+    ["-batchmode", "-nographics", "+x", "1"],
+  );
+});
+
+test("decodeArgv reads --argv-json, --argv-b64 and --argv-file", () => {
+  const arr = ["RustDedicated", "+server.hostname", "A B"];
+  assert.deepStrictEqual(
+    decodeArgv(["--argv-json", JSON.stringify(arr)], {}),
+    arr,
+  );
+
+  const b64 = Buffer.from(JSON.stringify(arr)).toString("base64");
+  assert.deepStrictEqual(decodeArgv(["--argv-b64", b64], {}), arr);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "argv-"));
+  const nul = path.join(dir, "nul");
+  fs.writeFileSync(nul, arr.join("\0"));
+  assert.deepStrictEqual(decodeArgv(["--argv-file", nul], {}), arr);
+  const lines = path.join(dir, "lines");
+  fs.writeFileSync(lines, arr.join("\n") + "\n");
+  assert.deepStrictEqual(decodeArgv(["--argv-file", lines], {}), arr);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test("decodeArgv falls back to RUST_ARGS_JSON, then legacy --argv", () => {
+  const env = { RUST_ARGS_JSON: '["RustDedicated","-batchmode"]' };
+  assert.deepStrictEqual(decodeArgv([], env), ["RustDedicated", "-batchmode"]);
+  assert.deepStrictEqual(
+    decodeArgv(["--argv", "RustDedicated", "+a", "b"], {}),
+    ["RustDedicated", "+a", "b"],
+  );
+});
+
+test("decodeArgv throws readable errors", () => {
+  assert.throws(() => decodeArgv(["--argv-json", "{}"], {}), /JSON array/);
+  assert.throws(() => decodeArgv([], {}), /Missing argv source/);
+  assert.throws(() => decodeArgv(["--argv"], {}), /No arguments/);
+  assert.throws(
+    () => decodeArgv([], { RUST_ARGS_JSON: "[" }),
+    /RUST_ARGS_JSON/,
+  );
+});
+
+test("argValue and formatArgv", () => {
+  const params = ["-logfile", "/tmp/u.log", "+server.hostname", "A B"];
+  assert.strictEqual(argValue(params, "-logfile"), "/tmp/u.log");
+  assert.strictEqual(argValue(params, "-missing"), null);
+  assert.strictEqual(
+    formatArgv(params),
+    '-logfile /tmp/u.log "+server.hostname" "A B"',
+  );
+});
@@ -0,0 +1,701 @@
+// End-to-end: wrapper.js as a program against the fake game (and a fake RCON
+// server), plus wrapper.js as a side-effect-free module.
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawn, execFileSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { startLegacyServer } = require("./fixtures/rcon-servers");
+
+const WRAPPER = path.join(__dirname, "..", "wrapper.js");
+const FAKE_GAME = path.join(__dirname, "fixtures", "fake-game.js");
+
+function startWrapper(t, env = {}, args = ["--argv", FAKE_GAME]) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wrapper-"));
+  const child = spawn(process.execPath, [WRAPPER, ...args], {
+    env: {
+      PATH: process.env.PATH,
+      CONSOLE_MODE: "stdin",
+      LATEST_LOG: path.join(dir, "latest.log"),
+      AUDIT_LOG: "off",
+      STACK_DUMP_DIR: path.join(dir, "dumps"),
+      SERVER_ROOT: dir,
+      BACKUP_DIR: path.join(dir, "backups"),
+      PLUGINS_DIR: path.join(dir, "plugins"),
+      // the control API only starts with API_TOKEN set
+      API_SOCKET: env.API_TOKEN ? path.join(dir, "api.sock") : "",
+      TELEMETRY_INTERVAL_SEC: "0",
+      RESOURCE_CHECK_SEC: "0",
+      HANG_SILENCE_SEC: "0",
+      PLAYER_SYNC_SEC: "0",
+      CRASH_RESTART: "0",
+      OOM_WATCH: "0",
+      ...env,
+    },
+    stdio: ["pipe", "pipe", "pipe"],
+  });
+  let out = "";
+  const waiters = [];
+  const onData = (d) => {
+    out += d.toString();
+    for (const w of [...waiters]) w();
+  };
+  child.stdout.on("data", onData);
+  child.stderr.on("data", onData);
+  const exited = new Promise((resolve) =>
+    child.on("exit", (code, signal) => resolve({ code, signal })),
+  );
+  t.after(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill("SIGKILL");
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Resolves once the output matches `re`, rejects after `ms`
+  const waitFor = (re, ms = 5000) =>
+    new Promise((resolve, reject) => {
+      const check = () => {
+        if (!re.test(out)) return;
+        waiters.splice(waiters.indexOf(check), 1);
+        clearTimeout(timer);
+        resolve(out);
+      };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(check), 1);
+        reject(new Error(`timed out waiting for ${re}; output:\n${out}`));
+      }, ms);
+      waiters.push(check);
+      check();
+    });
+
+  // GET on the control API's Unix socket (API_SOCKET) -> parsed JSON
+  const api = (p) =>
+    new Promise((resolve, reject) => {
+      const req = http.get(
+        {
+          socketPath: path.join(dir, "api.sock"),
+          path: p,
+          headers: { authorization: "Bearer test-token" },
+        },
+        (res) => {
+          let body = "";
+          res.on("data", (d) => (body += d));
+          res.on("end", () => resolve(JSON.parse(body)));
+        },
+      );
+      req.on("error", reject);
+    });
+
+  const send = (line) => child.stdin.write(`${line}\n`);
+  return { child, dir, api, send, waitFor, exited, output: () => out };
+}
+
+test("requiring wrapper.js starts nothing", () => {
+  const out = execFileSync(
+    process.execPath,
+    [
+      "-e",
+      `const w = require(${JSON.stringify(WRAPPER)}); console.log(typeof w.createLegacyRcon, typeof w.decodeArgv)`,
+    ],
+    { encoding: "utf8", timeout: 5000 },
+  );
+  assert.strictEqual(out, "function function\n");
+});
+
+test("exits with an error when no argv source is given", async (t) => {
+  const w = startWrapper(t, {}, []);
+  const { code } = await w.exited;
+  assert.strictEqual(code, 1);
+  assert.match(w.output(), /ERROR: Missing argv source/);
+});
+
+test("runs the game, routes panel input and mirrors latest.log", async (t) => {
+  const w = startWrapper(t, { SHUTDOWN_WARN_SEC: "1" }, [
+    "--argv",
+    FAKE_GAME,
+    "+server.hostname",
+    "My",
+    "Server",
+  ]);
+  await w.waitFor(/Server startup complete/);
+  assert.match(w.output(), /Fake server booting \+server\.hostname My Server/);
+
+  w.send("echo hello there");
+  await w.waitFor(/\[stdin\] echo hello there[\s\S]*\d\d:\d\d hello there/);
+
+  w.send(".mode rcon");
+  await w.waitFor(/\[mode\] default set to rcon/);
+  w.send("echo via default");
+  await w.waitFor(/disabled \(no pass\); using stdin[\s\S]*via default/);
+
+  w.send("partial no newline");
+  await new Promise((r) => setTimeout(r, 100));
+  const log = fs.readFileSync(path.join(w.dir, "latest.log"), "utf8");
+  assert.match(log, /^Fake server booting/);
+  assert.match(log, /hello there\n/);
+
+  // graceful stop: save, wait for "Saved", quit
+  w.child.kill("SIGTERM");
+  const { code } = await w.exited;
+  assert.strictEqual(code, 0);
+  const out = w.output();
+  assert.match(out, /\[shutdown\] server\.save/);
+  assert.match(out, /Saved 1,234 ents/);
+  assert.match(out, /Quitting/);
+  assert.match(out, /no newline/); // partial line flushed on exit
+});
+
+test("fits the whole shutdown inside SHUTDOWN_TIMEOUT_SEC", async (t) => {
+  // a muted game never confirms the save nor honours quit
+  const w = startWrapper(t, { FAKE_GAME_MUTE: "1", SHUTDOWN_TIMEOUT_SEC: "2" });
+  await w.waitFor(/Server startup complete/);
+  const t0 = Date.now();
+  w.child.kill("SIGTERM");
+  const { code } = await w.exited;
+  assert.ok(Date.now() - t0 < 3500, `took ${Date.now() - t0}ms`);
+  assert.strictEqual(code, 0);
+  const out = w.output();
+  assert.match(out, /\[shutdown\] no save confirmation after \d+s/);
+  assert.match(out, /\[shutdown\] quit[\s\S]*sending TERM/);
+});
+
+test("a signal hurries a restart that is already stopping", async (t) => {
+  const w = startWrapper(t, {
+    FAKE_GAME_MUTE: "1",
+    SHUTDOWN_TIMEOUT_SEC: "2",
+    RESTART_SAVE_WAIT_SEC: "60",
+    RESTART_QUIT_TIMEOUT_SEC: "60",
+  });
+  await w.waitFor(/Server startup complete/);
+  w.send(".restart now");
+  await w.waitFor(/\[restart\] server\.save/);
+  const t0 = Date.now();
+  w.child.kill("SIGTERM");
+  const { code } = await w.exited;
+  assert.ok(Date.now() - t0 < 3500, `took ${Date.now() - t0}ms`);
+  assert.strictEqual(code, 0);
+  const out = w.output();
+  assert.match(
+    out,
+    /\[shutdown\] restart already stopping the server; finishing it within 2s/,
+  );
+  assert.match(out, /\[restart\] no save confirmation[\s\S]*sending TERM/);
+  assert.doesNotMatch(out, /relaunching/);
+});
+
+test("sends rcon: commands to the legacy RCON server", async (t) => {
+  const server = await startLegacyServer({
+    reply: (cmd) => `hostname: fake\nran ${cmd}`,
+  });
+  t.after(() => server.close());
+  const w = startWrapper(t, {
+    RCON_PORT: String(server.port),
+    RCON_PASS: "secret",
+    RCON_RECONNECT_SEC: "0",
+    API_TOKEN: "test-token",
+    // the save goes over RCON, which the fake server doesn't pass on
+    SHUTDOWN_TIMEOUT_SEC: "1",
+  });
+  await w.waitFor(/Server startup complete/);
+
+  w.send("rcon: status");
+  await w.waitFor(/\[rcon\] ran status/);
+  assert.match(w.output(), /legacy connection authed/);
+  assert.match(w.output(), /\[rcon\] hostname: fake/);
+  assert.deepStrictEqual(server.received, ["status"]);
+  const status = await w.api("/status");
+  assert.strictEqual(status.running, true);
+  assert.deepStrictEqual(status.rcon, {
+    mode: "legacy",
+    configured: true,
+    connected: true,
+  });
+
+  w.send("stdin: echo still stdin");
+  await w.waitFor(/\d\d:\d\d still stdin/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("tracks online players and keeps a session history", async (t) => {
+  const alice = "76561198000000001";
+  const bob = "76561198000000002";
+  const server = await startLegacyServer({
+    reply: (cmd) =>
+      cmd === "playerlist"
+        ? JSON.stringify([
+            { SteamID: alice, DisplayName: "Alice", ConnectedSeconds: 5 },
+            { SteamID: bob, DisplayName: "Bob", ConnectedSeconds: 600 },
+          ])
+        : "",
+  });
+  t.after(() => server.close());
+  const w = startWrapper(t, {
+    RCON_PORT: String(server.port),
+    RCON_PASS: "secret",
+    RCON_RECONNECT_SEC: "0",
+    API_TOKEN: "test-token",
+    SHUTDOWN_TIMEOUT_SEC: "1",
+  });
+  await w.waitFor(/Server startup complete/);
+
+  w.send(`echo 1.2.3.4:61000/${alice}/Alice joined [windows/${alice}]`);
+  await w.waitFor(/\d 1\.2\.3\.4:\S+Alice joined/);
+  w.send(".players");
+  await w.waitFor(new RegExp(`\\[players\\] ${alice}  Alice  \\d+s`));
+  assert.match(w.output(), /\[players\] 1 online/);
+
+  // Bob's join line was never seen; playerlist fills him in
+  w.send(".players sync");
+  await w.waitFor(/sync: 1 missed join\(s\), 0 missed leave\(s\); 2 online/);
+  w.send(".players list");
+  await w.waitFor(new RegExp(`${bob}  Bob  10m \\(from playerlist\\)`));
+  assert.strictEqual((await w.api("/status")).players, 2);
+
+  w.send(`echo 1.2.3.4:61000/${alice}/Alice disconnecting: closing`);
+  await w.waitFor(/\d 1\.2\.3\.4:\S+Alice disconnecting/);
+  w.send(".players seen alice");
+  await w.waitFor(
+    new RegExp(
+      `${alice}  Alice  last played .* UTC \\(0s ago\\) for \\d+s; 1 session\\(s\\)`,
+    ),
+  );
+  w.send(`.players seen ${bob}`);
+  await w.waitFor(new RegExp(`${bob}  Bob  online now, for 10m`));
+
+  w.child.kill("SIGTERM");
+  await w.exited;
+  const history = fs
+    .readFileSync(path.join(w.dir, "player-sessions.jsonl"), "utf8")
+    .trim()
+    .split("\n")
+    .map((ln) => JSON.parse(ln));
+  assert.deepStrictEqual(
+    history.map((h) => [h.steamId, h.name, h.reason]),
+    [
+      [alice, "Alice", "disconnect: closing"],
+      [bob, "Bob", "server stopped"],
+    ],
+  );
+  assert.ok(history[1].durationSec >= 600);
+});
+
+test("runs shell passthrough and dot-commands", async (t) => {
+  const w = startWrapper(t, { SHELL_POLICY: "allowlist", SHELL_ALLOW: "echo" });
+  await w.waitFor(/Server startup complete/);
+  w.send("! echo from-shell");
+  await w.waitFor(/from-shell[\s\S]*\[shell\] exit 0/);
+  w.send("! rm -rf /nope");
+  await w.waitFor(/not in SHELL_ALLOW/);
+  w.send(".config SHELL_POLICY");
+  await w.waitFor(/SHELL_POLICY\s+= allowlist \(env\)/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("audit log masks secrets but not ordinary chat", async (t) => {
+  const audit = path.join(os.tmpdir(), `audit-${process.pid}.log`);
+  t.after(() => fs.rmSync(audit, { force: true }));
+  const w = startWrapper(t, { AUDIT_LOG: audit });
+  await w.waitFor(/Server startup complete/);
+
+  const lines = [
+    "say the monkey is here",
+    "ban Passenger griefing",
+    "rcon.password hunter22",
+    "say api_key=abc123 and token: xyz",
+    "say keyboard: great, monkey=cute",
+  ];
+  for (const line of lines) w.send(line);
+  await w.waitFor(/(Command 'say' not found[\s\S]*){3}/);
+  w.send(".history 10");
+  await w.waitFor(/\[history\].*say keyboard: great, monkey=cute/);
+  const logged = fs
+    .readFileSync(audit, "utf8")
+    .trim()
+    .split("\n")
+    .map((ln) => JSON.parse(ln).command)
+    .filter((c) => !c.startsWith(".")); // .history lands there too
+  assert.deepStrictEqual(logged, [
+    "say the monkey is here",
+    "ban Passenger griefing",
+    "rcon.password ****",
+    "say api_key=**** and token: ****",
+    "say keyboard: great, monkey=cute",
+  ]);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("STACK_DUMP_KEEP=0 keeps every dump", async (t) => {
+  const w = startWrapper(t, { STACK_DUMP_KEEP: "0" });
+  const dumps = path.join(w.dir, "dumps");
+  fs.mkdirSync(dumps, { recursive: true });
+  for (const name of [
+    "stack-20260101-000000.txt",
+    "stack-20260102-000000.txt",
+  ]) {
+    fs.writeFileSync(path.join(dumps, name), "# dump\n");
+  }
+  await w.waitFor(/Server startup complete/);
+
+  w.send(".dumps prune");
+  await w.waitFor(/STACK_DUMP_KEEP=0 keeps every dump/);
+  assert.strictEqual(fs.readdirSync(dumps).length, 2);
+  // an explicit keep count still prunes
+  w.send(".dumps prune 0");
+  await w.waitFor(/removed 2 old dump\(s\)/);
+  assert.deepStrictEqual(fs.readdirSync(dumps), []);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("keeps the restart schedule while the server is down", async (t) => {
+  const w = startWrapper(t, {
+    RESTART_INTERVAL_MIN: "0.02",
+    RESTART_WARN_MIN: "",
+    CRASH_RESTART: "1",
+    CRASH_BACKOFF_SEC: "60",
+  });
+  await w.waitFor(/Server startup complete/);
+  w.send("crash");
+  await w.waitFor(/respawning in 60s/);
+  // a restart that comes due during the backoff re-arms the schedule
+  w.send(".restart in 0.005");
+  await w.waitFor(/not running[\s\S]*scheduled restart at/);
+  await w.waitFor(/not running[\s\S]*not running/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("prunes stack and core dumps separately", async (t) => {
+  const w = startWrapper(t);
+  const dumps = path.join(w.dir, "dumps");
+  fs.mkdirSync(dumps, { recursive: true });
+  // newest first: a run of stacks written after the core
+  const names = [
+    "stack-20260103-000000.txt",
+    "stack-20260102-000000.txt",
+    "core-20260101-120000.1234",
+    "stack-20260101-000000.txt",
+    "core-20251231-000000.1234",
+  ];
+  names.forEach((name, i) => {
+    const file = path.join(dumps, name);
+    fs.writeFileSync(file, "# dump\n");
+    const at = new Date(Date.now() - i * 60000);
+    fs.utimesSync(file, at, at);
+  });
+  await w.waitFor(/Server startup complete/);
+
+  w.send(".dumps prune 1");
+  await w.waitFor(/removed 3 old dump\(s\)/);
+  assert.deepStrictEqual(fs.readdirSync(dumps).sort(), [
+    "core-20260101-120000.1234",
+    "stack-20260103-000000.txt",
+  ]);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("loads wrapper plugins and survives a misbehaving one", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wplugins-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(dir, "house.js"),
+    `module.exports = (api) => {
+      api.onLine(({ line }) =>
+        line.startsWith("hide") ? false : line.replace("booting", "starting"));
+      api.on("game.start", ({ pid }) => api.log("game pid " + pid));
+      api.command("hello", (args) => { api.send("echo hello " + args); });
+    };`,
+  );
+  fs.writeFileSync(
+    path.join(dir, "broken.js"),
+    `module.exports = (api) => {
+      setTimeout(() => { throw new Error("stray timer"); }, 10);
+      api.command("restart", () => {});
+    };`,
+  );
+  fs.writeFileSync(
+    path.join(dir, "late.js"),
+    `module.exports = (api) => {
+      setTimeout(() => { throw new Error("stray timer"); }, 10);
+    };`,
+  );
+
+  const w = startWrapper(t, { WRAPPER_PLUGINS_DIR: dir });
+  await w.waitFor(/Server startup complete/);
+  assert.match(
+    w.output(),
+    /\[wplugins\] broken: setup: \.restart is already taken/,
+  );
+  assert.match(w.output(), /\[house\] game pid \d+/);
+  assert.match(w.output(), /Fake server starting/);
+
+  await w.waitFor(/\[wplugins\] late: uncaught: stray timer/);
+  w.send(".hello world");
+  w.send("echo hide me");
+  w.send("echo shown");
+  await w.waitFor(/\d\d:\d\d shown/);
+  assert.match(w.output(), /\d\d:\d\d hello world/);
+  assert.doesNotMatch(w.output(), /\d\d:\d\d hide me/);
+
+  w.send(".wplugins");
+  await w.waitFor(/2\/3 loaded[\s\S]*late /);
+  assert.match(w.output(), /house\s+loaded\s+line \.hello/);
+  assert.match(w.output(), /broken\s+failed/);
+  w.child.kill("SIGTERM");
+  assert.strictEqual((await w.exited).code, 0);
+});
+
+test("charges a plugin's dropped RCON rejection to the plugin", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wplugins-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(dir, "asker.js"),
+    `module.exports = (api) => {
+      api.command("ask", () => { api.rcon("serverinfo").then(() => {}); });
+    };`,
+  );
+  // nothing listens on port 1, so every RCON call is refused
+  const w = startWrapper(t, {
+    WRAPPER_PLUGINS_DIR: dir,
+    RCON_PASS: "secret",
+    RCON_PORT: "1",
+    RCON_RECONNECT_SEC: "0",
+    SHUTDOWN_TIMEOUT_SEC: "1",
+  });
+  await w.waitFor(/Server startup complete/);
+  w.send(".ask");
+  await w.waitFor(/\[wplugins\] asker: uncaught: /);
+  w.send("stdin: echo still alive");
+  await w.waitFor(/\d\d:\d\d still alive/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("manages Oxide plugins and reports load results", async (t) => {
+  const w = startWrapper(t, {
+    FRAMEWORK: "oxide",
+    PLUGIN_RESULT_SEC: "1",
+  });
+  const plugins = path.join(w.dir, "plugins");
+  fs.mkdirSync(plugins);
+  fs.writeFileSync(path.join(plugins, "Vanish.cs"), "class Vanish {}");
+  fs.writeFileSync(path.join(plugins, "Broken.cs"), "BROKEN");
+  fs.writeFileSync(path.join(plugins, "Old.cs.disabled"), "class Old {}");
+  await w.waitFor(/Server startup complete/);
+
+  w.send(".plugins reload vanish");
+  await w.waitFor(
+    /\[stdin\] oxide\.reload Vanish[\s\S]*\[plugins\] Vanish v1\.0\.0 loaded/,
+  );
+
+  w.send(".plugins reload Broken");
+  await w.waitFor(
+    /\[plugins\] reload Broken: 2 error\(s\)\n.*\n.*Broken\.cs\(4,1\): error CS1513/,
+  );
+
+  w.send(".plugins enable old");
+  await w.waitFor(
+    /enabled Old\.cs[\s\S]*oxide\.load Old[\s\S]*Old v1\.0\.0 loaded/,
+  );
+  assert.ok(fs.existsSync(path.join(plugins, "Old.cs")));
+
+  w.send(".plugins disable Vanish");
+  await w.waitFor(/disabled Vanish\.cs[\s\S]*Vanish v1\.0\.0 unloaded/);
+  assert.ok(fs.existsSync(path.join(plugins, "Vanish.cs.disabled")));
+
+  w.send(".plugins unload Ghost");
+  await w.waitFor(/unload Ghost: nothing unloaded within 1s/);
+
+  w.send(".plugins");
+  await w.waitFor(/oxide: .*, 2 enabled, 1 disabled[\s\S]*Vanish\s+disabled/);
+  assert.match(
+    w.output(),
+    /Broken\s+enabled\s+error \d+s ago: Broken\.cs\(4,1\)/,
+  );
+  assert.match(w.output(), /Old\s+enabled\s+loaded v1\.0\.0 \d+s ago/);
+
+  w.send(".plugins disable ../etc");
+  await w.waitFor(/\[plugins\] use: \.plugins/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("wipes map files after a backup and relaunches", async (t) => {
+  const w = startWrapper(t, { SHUTDOWN_WARN_SEC: "1" }, [
+    "--argv",
+    FAKE_GAME,
+    "+server.identity",
+    "wt",
+  ]);
+  const ident = path.join(w.dir, "server", "wt");
+  fs.mkdirSync(ident, { recursive: true });
+  const files = [
+    "proceduralmap.3000.1.260.map",
+    "proceduralmap.3000.1.260.sav",
+    "proceduralmap.3000.1.260.sav.1",
+    "player.deaths.5.db",
+    "player.states.5.db-wal",
+    "sv.files.5.db",
+    "player.blueprints.5.db",
+    "serverauto.cfg",
+  ];
+  for (const f of files) fs.writeFileSync(path.join(ident, f), f);
+  await w.waitFor(/Server startup complete/);
+
+  w.send(".wipe map");
+  await w.waitFor(/\[wipe\] map wipe removed 6 file\(s\)/);
+  await w.waitFor(/relaunching[\s\S]*Fake server booting/);
+  assert.match(w.output(), /warning players: say Server map wipe in 1s/);
+  assert.match(w.output(), /\[wipe\] server\.save/);
+  assert.deepStrictEqual(fs.readdirSync(ident).sort(), [
+    "player.blueprints.5.db",
+    "serverauto.cfg",
+  ]);
+
+  // the backup holds the files as they were before the wipe
+  const backups = fs.readdirSync(path.join(w.dir, "backups"));
+  assert.strictEqual(backups.length, 1);
+  assert.match(backups[0], /^wipe-map-\d{8}-\d{6}\.tar\.gz$/);
+  const listing = execFileSync(
+    "tar",
+    ["-tzf", path.join(w.dir, "backups", backups[0])],
+    { encoding: "utf8" },
+  );
+  assert.match(listing, /wt\/proceduralmap\.3000\.1\.260\.sav\.1/);
+
+  w.send(".wipe full --at 23:59");
+  await w.waitFor(/\[wipe\] manual full wipe at \d{4}-\d\d-\d\d 23:59 UTC/);
+  w.send(".wipe cancel");
+  await w.waitFor(/\[wipe\] cancelled/);
+  w.send(".wipe status");
+  await w.waitFor(/pending: none; .*last: map at .*, 6 file\(s\) removed/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("relaunches unwiped when the backup cannot be written", async (t) => {
+  const blocker = path.join(os.tmpdir(), `not-a-dir-${process.pid}`);
+  fs.writeFileSync(blocker, "");
+  t.after(() => fs.rmSync(blocker, { force: true }));
+  const w = startWrapper(
+    t,
+    { SHUTDOWN_WARN_SEC: "0", BACKUP_DIR: path.join(blocker, "backups") },
+    ["--argv", FAKE_GAME, "+server.identity", "wt"],
+  );
+  const ident = path.join(w.dir, "server", "wt");
+  fs.mkdirSync(ident, { recursive: true });
+  fs.writeFileSync(path.join(ident, "proceduralmap.3000.1.260.map"), "map");
+  await w.waitFor(/Server startup complete/);
+
+  w.send(".wipe map");
+  await w.waitFor(/\[wipe\] .*; nothing deleted, relaunching unwiped/);
+  await w.waitFor(/relaunching[\s\S]*Fake server booting/);
+  assert.ok(fs.existsSync(path.join(ident, "proceduralmap.3000.1.260.map")));
+  w.send(".wipe status");
+  await w.waitFor(/last: map failed at /);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("backs up after a save and restores only while stopped", async (t) => {
+  const w = startWrapper(t, { BACKUP_KEEP: "2" }, [
+    "--argv",
+    FAKE_GAME,
+    "+server.identity",
+    "bt",
+  ]);
+  const ident = path.join(w.dir, "server", "bt");
+  const data = path.join(w.dir, "oxide", "data");
+  fs.mkdirSync(ident, { recursive: true });
+  fs.mkdirSync(data, { recursive: true });
+  fs.writeFileSync(path.join(ident, "player.states.5.db"), "before");
+  fs.writeFileSync(path.join(data, "kits.json"), "{}");
+  await w.waitFor(/Server startup complete/);
+
+  w.send(".backup now");
+  const backedUp = /manual backup: \S+\/(backup-\d{8}-\d{6})\.tar\.gz \(/;
+  const [, id] = backedUp.exec(await w.waitFor(backedUp));
+  assert.match(w.output(), /saving the server first[\s\S]*Saved 1,234 ents/);
+  const listing = execFileSync(
+    "tar",
+    ["-tzf", path.join(w.dir, "backups", `${id}.tar.gz`)],
+    { encoding: "utf8" },
+  );
+  assert.match(listing, /^server\/bt\/player\.states\.5\.db$/m);
+  assert.match(listing, /^oxide\/data\/kits\.json$/m);
+
+  fs.writeFileSync(path.join(ident, "player.states.5.db"), "after");
+  fs.writeFileSync(path.join(ident, "extra.db"), "new");
+  fs.rmSync(path.join(data, "kits.json"));
+
+  w.send(`.backup restore ${id}`);
+  await w.waitFor(/restores only run while the server is stopped/);
+  w.send(`.backup restore ${id} --restart`);
+  await w.waitFor(/restored server\/bt, oxide\/data from backup-/);
+  await w.waitFor(/relaunching[\s\S]*Fake server booting/);
+  assert.strictEqual(
+    fs.readFileSync(path.join(ident, "player.states.5.db"), "utf8"),
+    "before",
+  );
+  assert.ok(!fs.existsSync(path.join(ident, "extra.db")));
+  assert.ok(fs.existsSync(path.join(data, "kits.json")));
+
+  // BACKUP_KEEP applies per kind; the pre-restore safety copy stays
+  await w.waitFor(/Server startup complete[\s\S]*Server startup complete/);
+  for (let i = 0; i < 2; i++) {
+    w.send(".backup now");
+    const done = new RegExp(
+      `(manual backup: \\S+\\.tar\\.gz[\\s\\S]*){${i + 2}}`,
+    );
+    await w.waitFor(done);
+  }
+  await w.waitFor(/removed 1 old backup/);
+  const names = fs.readdirSync(path.join(w.dir, "backups"));
+  assert.strictEqual(names.filter((n) => n.startsWith("backup-")).length, 2);
+  assert.strictEqual(
+    names.filter((n) => n.startsWith("pre-restore-")).length,
+    1,
+  );
+  assert.ok(!names.includes(`${id}.tar.gz`));
+
+  w.send(".backup list");
+  await w.waitFor(/\[backup\] pre-restore-\d{8}-\d{6}\S*  \d+KB  /);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("runs scheduled backups", async (t) => {
+  const w = startWrapper(t, { BACKUP_INTERVAL_MIN: "0.02" });
+  fs.mkdirSync(path.join(w.dir, "server", "my_server_identity"), {
+    recursive: true,
+  });
+  await w.waitFor(/scheduled backup: \S+\.tar\.gz/, 10000);
+  w.send(".backup status");
+  await w.waitFor(/next: .* interval=0\.02m keep=10\/any age/);
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
+
+test("schedules wipes on the first Thursday of the month", async (t) => {
+  const w = startWrapper(t, {
+    WIPE_SCHEDULE: "map every thu 19:00, full first thursday 19:00, bogus",
+  });
+  await w.waitFor(/scheduled (map|full) wipe at/);
+  assert.match(w.output(), /ignoring bad schedule "bogus"/);
+  const [, kind, y, mo, d] =
+    /scheduled (map|full) wipe at (\d{4})-(\d\d)-(\d\d) 19:00 UTC/.exec(
+      w.output(),
+    );
+  const day = new Date(Date.UTC(+y, +mo - 1, +d));
+  assert.strictEqual(day.getUTCDay(), 4);
+  assert.strictEqual(kind, +d <= 7 ? "full" : "map");
+  w.child.kill("SIGTERM");
+  await w.exited;
+});
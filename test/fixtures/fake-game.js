@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// Stand-in for RustDedicated: a few console commands on stdin, Rust-like lines
+// on stdout. FAKE_GAME_MUTE=1 stops it from answering (hang tests).
+// oxide.load/reload/unload act on PLUGINS_DIR/<name>.cs; a file containing
+// BROKEN fails to compile.
+const fs = require("fs");
+const path = require("path");
+
+const say = (line) => process.stdout.write(`${line}\n`);
+
+say(`Fake server booting ${process.argv.slice(2).join(" ")}`);
+setTimeout(() => say("Server startup complete"), 50);
+
+let buf = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (txt) => {
+  buf += txt;
+  const lines = buf.split(/\r?\n/);
+  buf = lines.pop();
+  for (const line of lines) handle(line.trim());
+});
+
+function handle(line) {
+  const [cmd, ...rest] = line.split(" ");
+  const arg = rest.join(" ");
+  if (process.env.FAKE_GAME_MUTE === "1") return;
+  switch (cmd) {
+    case "quit":
+      say("Quitting");
+      process.exit(0);
+      break;
+    case "crash":
+      process.stderr.write("Segmentation fault\n");
+      process.exit(139);
+      break;
+    case "server.save":
+      say("Saving 1234 entities");
+      // timings differ between saves, so the lines aren't deduplicated
+      setTimeout(() => {
+        const took = ((Date.now() % 100000) / 1000).toFixed(3);
+        say(`Saved 1,234 ents, cache(${took}), write(0.01)`);
+      }, 20);
+      break;
+    case "echo":
+      say(arg);
+      break;
+    case "partial":
+      process.stdout.write(arg); // no newline
+      break;
+    case "oxide.reload":
+      unloadPlugin(arg);
+      loadPlugin(arg);
+      break;
+    case "oxide.load":
+      loadPlugin(arg);
+      break;
+    case "oxide.unload":
+      if (!unloadPlugin(arg)) say(`Plugin '${arg}' not loaded`);
+      break;
+    default:
+      say(`Command '${cmd}' not found`);
+  }
+}
+
+const loaded = new Set();
+
+function unloadPlugin(name) {
+  if (!loaded.delete(name)) return false;
+  say(`Unloaded plugin ${name} v1.0.0 by test`);
+  return true;
+}
+
+function loadPlugin(name) {
+  let src;
+  try {
+    src = fs.readFileSync(
+      path.join(process.env.PLUGINS_DIR, `${name}.cs`),
+      "utf8",
+    );
+  } catch {
+    say(`Plugin '${name}' not found`);
+    return;
+  }
+  if (src.includes("BROKEN")) {
+    say(`Error while compiling: ${name}.cs(3,1): error CS1002: ; expected`);
+    say(`${name}.cs(4,1): error CS1513: } expected`);
+    return;
+  }
+  say(`${name} was compiled successfully in 12ms`);
+  loaded.add(name);
+  say(`Loaded plugin ${name} v1.0.0 by test`);
+}
@@ -0,0 +1,121 @@
+// Fake RCON servers on ephemeral localhost ports. `reply(cmd)` returns the
+// reply body (a string, an array of packets for legacy, or null for none).
+const net = require("net");
+const {
+  SERVERDATA_AUTH,
+  SERVERDATA_AUTH_RESPONSE,
+  SERVERDATA_EXECCOMMAND,
+  SERVERDATA_RESPONSE_VALUE,
+  pkt,
+  createPacketParser,
+} = require("../../lib/rcon-legacy");
+
+let WebSocketServer = null;
+try {
+  ({ WebSocketServer } = require("ws"));
+} catch {
+  // WebRCON tests are skipped without ws
+}
+
+// Source RCON: auth with `password`; echoes the terminator packet unless
+// `terminator` is false. Resolves with { port, received, sockets, close }.
+function startLegacyServer({
+  password = "secret",
+  reply = (cmd) => `echo ${cmd}`,
+  terminator = true,
+} = {}) {
+  const received = [];
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    const parse = createPacketParser((p) => {
+      if (p.type === SERVERDATA_AUTH) {
+        socket.write(pkt(p.id, SERVERDATA_RESPONSE_VALUE, ""));
+        const ok = p.body === password;
+        socket.write(pkt(ok ? p.id : -1, SERVERDATA_AUTH_RESPONSE, ""));
+        return;
+      }
+      if (p.type === SERVERDATA_EXECCOMMAND) {
+        received.push(p.body);
+        const out = reply(p.body);
+        if (out === null) return;
+        for (const part of [].concat(out)) {
+          socket.write(pkt(p.id, SERVERDATA_RESPONSE_VALUE, part));
+        }
+        return;
+      }
+      if (p.type === SERVERDATA_RESPONSE_VALUE && terminator) {
+        socket.write(pkt(p.id, SERVERDATA_RESPONSE_VALUE, ""));
+      }
+    });
+    socket.on("data", (d) => parse(d));
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        port: server.address().port,
+        received,
+        sockets,
+        close: () =>
+          new Promise((done) => {
+            for (const s of sockets) s.destroy();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+// WebRCON: password in the URL path. broadcast(type, message) sends an
+// Identifier 0 message to every client.
+function startWebRconServer({
+  password = "secret",
+  reply = (cmd) => `echo ${cmd}`,
+} = {}) {
+  const received = [];
+  const wss = new WebSocketServer({ port: 0, host: "127.0.0.1" });
+  wss.on("connection", (ws, req) => {
+    if (req.url !== `/${encodeURIComponent(password)}`) return ws.close();
+    ws.on("message", (data) => {
+      const msg = JSON.parse(data.toString("utf8"));
+      received.push(msg.Message);
+      const out = reply(msg.Message);
+      if (out === null) return;
+      ws.send(
+        JSON.stringify({
+          Identifier: msg.Identifier,
+          Message: out,
+          Type: "Generic",
+        }),
+      );
+    });
+  });
+  const broadcast = (type, message) => {
+    for (const ws of wss.clients) {
+      ws.send(JSON.stringify({ Identifier: 0, Message: message, Type: type }));
+    }
+  };
+  return new Promise((resolve) => {
+    wss.on("listening", () => {
+      resolve({
+        port: wss.address().port,
+        received,
+        broadcast,
+        clients: wss.clients,
+        close: () =>
+          new Promise((done) => {
+            for (const ws of wss.clients) ws.terminate();
+            wss.close(done);
+          }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  hasWs: !!WebSocketServer,
+  startLegacyServer,
+  startWebRconServer,
+};
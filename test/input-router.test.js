@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createInputRouter } = require("../lib/input-router");
+
+function setup(opts = {}) {
+  const calls = [];
+  const router = createInputRouter({
+    game: (route, payload, source, fellBack) => {
+      calls.push({ route, payload, source, fellBack });
+      return { route };
+    },
+    shell: (cmd, source) => ({ route: "shell", cmd, source }),
+    ...opts,
+  });
+  return { router, calls };
+}
+
+test("routing prefixes override the default mode", () => {
+  const { router, calls } = setup({ mode: "stdin", hasRcon: () => true });
+  router.dispatch("rcon: status");
+  router.dispatch("console: say hi");
+  router.dispatch("STDIN: x");
+  router.dispatch("status");
+  assert.deepStrictEqual(
+    calls.map((c) => [c.route, c.payload]),
+    [
+      ["rcon", "status"],
+      ["stdin", "say hi"],
+      ["stdin", "x"],
+      ["stdin", "status"],
+    ],
+  );
+});
+
+test("auto picks rcon only when it is available; rcon falls back to stdin", () => {
+  let rcon = true;
+  const { router } = setup({ hasRcon: () => rcon });
+  assert.deepStrictEqual(router.resolveRoute("status"), {
+    route: "rcon",
+    payload: "status",
+    fellBack: false,
+  });
+  rcon = false;
+  assert.strictEqual(router.resolveRoute("status").route, "stdin");
+  assert.deepStrictEqual(router.resolveRoute("rcon: status"), {
+    route: "stdin",
+    payload: "status",
+    fellBack: true,
+  });
+  assert.strictEqual(router.resolveRoute("x", "stdin").route, "stdin");
+});
+
+test("dot-commands, shell lines and unknown dot-commands", () => {
+  const { router, calls } = setup();
+  const got = [];
+  router.command("Jobs", (args, line, source) => {
+    got.push([args, line, source]);
+  });
+  router.command("kill", (args) => ({ route: "wrapper", killed: args }));
+
+  assert.deepStrictEqual(router.dispatch(".jobs", "api"), { route: "wrapper" });
+  assert.deepStrictEqual(got, [["", ".jobs", "api"]]);
+  assert.deepStrictEqual(router.dispatch(".KILL  3 "), {
+    route: "wrapper",
+    killed: "3",
+  });
+  assert.deepStrictEqual(router.dispatch("! ls -la"), {
+    route: "shell",
+    cmd: "ls -la",
+    source: "panel",
+  });
+  router.dispatch(".unknown thing");
+  assert.strictEqual(calls[0].payload, ".unknown thing");
+  assert.deepStrictEqual(router.commands().sort(), ["jobs", "kill"]);
+});
+
+test("setMode validates", () => {
+  const { router } = setup({ mode: "bogus" });
+  assert.strictEqual(router.mode, "auto");
+  assert.strictEqual(router.setMode("RCON"), true);
+  assert.strictEqual(router.mode, "rcon");
+  assert.strictEqual(router.setMode("nope"), false);
+  assert.strictEqual(router.mode, "rcon");
+});
@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createLogMirror } = require("../lib/log-mirror");
+
+test("splits chunks into lines per source and stream", () => {
+  const mirror = createLogMirror();
+  const lines = [];
+  const data = [];
+  mirror.on("line", (l) => lines.push(l));
+  mirror.on("data", (d) => data.push(d.text));
+
+  mirror.write("game", "first li");
+  mirror.write("game", "ne\r\nsecond\n", false);
+  mirror.write("game", "oops", true);
+  mirror.write("unity", "u1\n");
+
+  assert.deepStrictEqual(
+    lines.map((l) => [l.source, l.isErr, l.line]),
+    [
+      ["game", false, "first line"],
+      ["game", false, "second"],
+      ["unity", false, "u1"],
+    ],
+  );
+  assert.strictEqual(data.join(""), "first line\nsecond\noopsu1\n");
+
+  mirror.flush();
+  assert.deepStrictEqual(lines[3], {
+    source: "game",
+    isErr: true,
+    line: "oops",
+    partial: true,
+  });
+  mirror.flush();
+  assert.strictEqual(lines.length, 4);
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPluginHost } = require("../lib/plugin-host");
+
+// Writes { "name.js": source, ... } into a fresh plugin directory
+function pluginDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wplugins-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, src] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), src);
+  }
+  return dir;
+}
+
+function setup(t, files, opts = {}) {
+  const logs = [];
+  const host = createPluginHost({
+    dir: pluginDir(t, files),
+    log: (level, name, msg) => logs.push(`${level} ${name}: ${msg}`),
+    ...opts,
+  });
+  t.after(() => host.unload());
+  host.load();
+  return { host, logs };
+}
+
+test("loads files and directories, skipping _ and . names", (t) => {
+  const { host } = setup(t, {
+    "a.js": "module.exports = () => {};",
+    "b.cjs": "module.exports = { name: 'bee', setup() {} };",
+    "c/index.js": "module.exports = () => {};",
+    "_helper.js": "throw new Error('not a plugin');",
+    "notes.txt": "",
+  });
+  assert.deepStrictEqual(
+    host.list().map((p) => [p.name, p.state]),
+    [
+      ["a", "loaded"],
+      ["bee", "loaded"],
+      ["c", "loaded"],
+    ],
+  );
+});
+
+test("line hooks rewrite and suppress in load order", (t) => {
+  const { host } = setup(t, {
+    "1-upper.js":
+      "module.exports = (api) => api.onLine(({ line }) => line.toUpperCase());",
+    "2-hide.js":
+      "module.exports = (api) => api.onLine(({ line }) => line.includes('SECRET') ? false : undefined);",
+    "3-seen.js":
+      "module.exports = (api) => api.onLine((e) => { global.__seen = e.line; });",
+  });
+  assert.strictEqual(host.filterLine({ source: "game", line: "hi" }), "HI");
+  assert.strictEqual(global.__seen, "HI");
+  assert.strictEqual(host.filterLine({ line: "a secret" }), false);
+  delete global.__seen;
+});
+
+test("load and setup failures are isolated", (t) => {
+  const { host, logs } = setup(t, {
+    "bad-syntax.js": "module.exports = (",
+    "bad-export.js": "module.exports = 42;",
+    "bad-setup.js":
+      "module.exports = (api) => { api.onLine(() => 'x'); throw new Error('boom'); };",
+    "good.js": "module.exports = () => {};",
+  });
+  const byName = Object.fromEntries(host.list().map((p) => [p.name, p]));
+  assert.strictEqual(byName["bad-syntax"].state, "failed");
+  assert.match(byName["bad-export"].lastError, /neither a function/);
+  assert.strictEqual(byName["bad-setup"].state, "failed");
+  assert.strictEqual(byName["bad-setup"].lastError, "setup: boom");
+  assert.strictEqual(byName.good.state, "loaded");
+  // the failed setup's hook was undone
+  assert.strictEqual(host.filterLine({ line: "y" }), "y");
+  assert.ok(logs.includes("info good: loaded"));
+});
+
+test("hook errors are counted and disable the plugin at the limit", (t) => {
+  const { host, logs } = setup(
+    t,
+    {
+      "flaky.js": `module.exports = (api) => {
+        api.onLine(() => { throw new Error("bad line"); });
+        api.onRconReply(() => {});
+        return () => { global.__tornDown = true; };
+      };`,
+    },
+    { errorLimit: 2 },
+  );
+  assert.strictEqual(host.filterLine({ line: "a" }), "a");
+  assert.strictEqual(host.list()[0].state, "loaded");
+  assert.strictEqual(host.filterLine({ line: "b" }), "b");
+
+  const [p] = host.list();
+  assert.strictEqual(p.state, "disabled");
+  assert.strictEqual(p.errors, 2);
+  assert.deepStrictEqual(p.hooks, []);
+  assert.strictEqual(global.__tornDown, true);
+  assert.ok(logs.includes("warn flaky: disabled after 2 errors"));
+  delete global.__tornDown;
+});
+
+test("rejected promises from hooks count as errors", async (t) => {
+  const { host } = setup(t, {
+    "async.js":
+      "module.exports = (api) => api.onRconReply(async () => { throw new Error('late'); });",
+  });
+  host.notify("rconReply", { command: "status", body: "" });
+  await new Promise((r) => setImmediate(r));
+  assert.strictEqual(host.list()[0].lastError, "rconReply: late");
+});
+
+test("timers are guarded and cleared on unload", async (t) => {
+  const { host } = setup(t, {
+    "timers.js": `module.exports = (api) => {
+      api.setTimeout(() => { throw new Error("tick"); }, 1);
+      api.setInterval(() => { global.__ticks = (global.__ticks || 0) + 1; }, 5);
+    };`,
+  });
+  await new Promise((r) => setTimeout(r, 20));
+  assert.strictEqual(host.list()[0].lastError, "timeout: tick");
+  host.unload();
+  const ticks = global.__ticks;
+  await new Promise((r) => setTimeout(r, 20));
+  assert.strictEqual(global.__ticks, ticks);
+  delete global.__ticks;
+});
+
+test("reload re-reads changed plugin files", (t) => {
+  const { host } = setup(t, {
+    "v.js": "module.exports = (api) => api.onLine(() => 'one');",
+  });
+  assert.strictEqual(host.filterLine({ line: "x" }), "one");
+  fs.writeFileSync(
+    path.join(host.dir, "v.js"),
+    "module.exports = (api) => api.onLine(() => 'two');",
+  );
+  host.load();
+  assert.strictEqual(host.filterLine({ line: "x" }), "two");
+});
+
+test("extra api from the caller can track cleanups", (t) => {
+  const registered = new Set();
+  const { host } = setup(
+    t,
+    { "cmd.js": "module.exports = (api) => api.register('ping');" },
+    {
+      api: ({ track, plugin }) => ({
+        register: (name) => {
+          registered.add(`${plugin.name}:${name}`);
+          track(() => registered.delete(`${plugin.name}:${name}`));
+        },
+      }),
+    },
+  );
+  assert.deepStrictEqual([...registered], ["cmd:ping"]);
+  host.unload();
+  assert.deepStrictEqual([...registered], []);
+});
+
+test("claim charges uncaught errors to the plugin in the stack", (t) => {
+  const { host } = setup(t, {
+    "thrower.js":
+      "module.exports = (api) => { api.onUnload(() => {}); global.__make = () => new Error('oops'); };",
+  });
+  assert.strictEqual(host.claim(global.__make()), "thrower");
+  assert.strictEqual(host.list()[0].lastError, "uncaught: oops");
+  assert.strictEqual(host.claim(new Error("elsewhere")), null);
+  delete global.__make;
+});
+
+test("claim charges errors tagged by the plugin's api", (t) => {
+  let tag;
+  const { host } = setup(
+    t,
+    { "tagged.js": "module.exports = (api) => api.grab();" },
+    { api: (ctx) => ({ grab: () => (tag = ctx.tag) }) },
+  );
+  // a stack that never mentions the plugin file
+  assert.strictEqual(host.claim(tag(new Error("rcon down"))), "tagged");
+  assert.strictEqual(host.list()[0].lastError, "uncaught: rcon down");
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createLegacyRcon,
+  createPacketParser,
+  pkt,
+} = require("../lib/rcon-legacy");
+const { startLegacyServer } = require("./fixtures/rcon-servers");
+
+test("packet parser reassembles split and batched packets", () => {
+  const seen = [];
+  const parse = createPacketParser((p) => seen.push(p));
+  const both = Buffer.concat([pkt(5, 0, "hello"), pkt(6, 0, "world")]);
+  parse(both.subarray(0, 7));
+  parse(both.subarray(7, 20));
+  parse(both.subarray(20));
+  assert.deepStrictEqual(
+    seen.map((p) => [p.id, p.body]),
+    [
+      [5, "hello"],
+      [6, "world"],
+    ],
+  );
+  assert.throws(() => parse(Buffer.from([1, 0, 0, 0])), /bad packet length/);
+});
+
+test("authenticates, sends commands and joins multi-packet replies", async (t) => {
+  const server = await startLegacyServer({
+    reply: (cmd) =>
+      cmd === "big" ? ["part one, ", "part two"] : `echo ${cmd}`,
+  });
+  const rcon = createLegacyRcon({ port: server.port, password: "secret" });
+  t.after(() => {
+    rcon.close();
+    return server.close();
+  });
+
+  const replies = [];
+  rcon.on("reply", (r) => replies.push(r));
+  let authed = 0;
+  rcon.on("auth", () => authed++);
+
+  assert.strictEqual(await rcon.send("status"), "echo status");
+  assert.strictEqual(
+    await rcon.send("big", { quiet: true }),
+    "part one, part two",
+  );
+  assert.strictEqual(authed, 1);
+  assert.strictEqual(rcon.isReady(), true);
+  assert.deepStrictEqual(server.received, ["status", "big"]);
+  assert.deepStrictEqual(replies[1], {
+    command: "big",
+    body: "part one, part two",
+    opts: { quiet: true },
+  });
+});
+
+test("concurrent sends share one connection", async (t) => {
+  const server = await startLegacyServer();
+  const rcon = createLegacyRcon({ port: server.port, password: "secret" });
+  t.after(() => {
+    rcon.close();
+    return server.close();
+  });
+  const out = await Promise.all(["a", "b", "c"].map((c) => rcon.send(c)));
+  assert.deepStrictEqual(out, ["echo a", "echo b", "echo c"]);
+  assert.strictEqual(server.sockets.size, 1);
+});
+
+test("rejects a bad password", async (t) => {
+  const server = await startLegacyServer({ password: "right" });
+  const rcon = createLegacyRcon({ port: server.port, password: "wrong" });
+  t.after(() => server.close());
+  let rejected = false;
+  rcon.on("rejected", () => (rejected = true));
+  await assert.rejects(rcon.send("status"), /auth rejected/);
+  assert.ok(rejected);
+});
+
+test("times out without a reply, resolves partial output without terminator", async (t) => {
+  const server = await startLegacyServer({
+    terminator: false,
+    reply: (cmd) => (cmd === "silent" ? null : "partial"),
+  });
+  const rcon = createLegacyRcon({
+    port: server.port,
+    password: "secret",
+    timeoutMs: 150,
+  });
+  t.after(() => {
+    rcon.close();
+    return server.close();
+  });
+  await assert.rejects(rcon.send("silent"), (e) => e.code === "RCON_TIMEOUT");
+  assert.strictEqual(await rcon.send("talkative"), "partial");
+});
+
+test("fails pending commands when the connection drops", async (t) => {
+  const server = await startLegacyServer({ reply: () => null });
+  const rcon = createLegacyRcon({ port: server.port, password: "secret" });
+  t.after(() => server.close());
+  let closed = 0;
+  rcon.on("close", () => closed++);
+  await rcon.connect();
+  const pending = rcon.send("never");
+  setTimeout(() => {
+    for (const s of server.sockets) s.destroy();
+  }, 20);
+  await assert.rejects(pending, /connection closed/);
+  assert.strictEqual(closed, 1);
+  assert.strictEqual(rcon.isReady(), false);
+});
+
+test("refuses to connect without a password", async () => {
+  await assert.rejects(createLegacyRcon().connect(), /password not set/);
+});
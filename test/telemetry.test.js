@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const {
+  readProcStats,
+  findGamePid,
+  createProcessSampler,
+  createCpuMeter,
+} = require("../lib/telemetry");
+
+const linux = process.platform === "linux" ? false : "needs /proc";
+
+test(
+  "readProcStats reads this process and returns null for a dead pid",
+  { skip: linux },
+  () => {
+    const st = readProcStats(process.pid);
+    assert.ok(st.rssBytes > 0);
+    assert.ok(st.threads >= 1);
+    assert.ok(st.cpuSeconds >= 0);
+    assert.strictEqual(readProcStats(2 ** 22 + 1), null);
+  },
+);
+
+test(
+  "findGamePid walks to a descendant by name",
+  { skip: linux },
+  async (t) => {
+    const child = spawn("sh", ["-c", "sleep 5 & wait"], { stdio: "ignore" });
+    t.after(() => child.kill("SIGKILL"));
+    await new Promise((r) => setTimeout(r, 200));
+    const pid = findGamePid(child.pid, "sleep");
+    assert.ok(pid && pid !== child.pid);
+    assert.strictEqual(findGamePid(child.pid, "sh"), child.pid);
+  },
+);
+
+test("sampler computes rates between samples", { skip: linux }, () => {
+  const sampler = createProcessSampler();
+  const first = sampler.sample(process.pid, Date.now() - 1000);
+  assert.ok(first.cpuPercent >= 0);
+  const end = Date.now() + 50;
+  while (Date.now() < end); // burn some CPU
+  const second = sampler.sample(process.pid, 0);
+  assert.ok(second.cpuPercent > 0);
+  assert.strictEqual(sampler.sample(null), null);
+});
+
+test("cpu meter reports this process's usage", () => {
+  const meter = createCpuMeter();
+  const end = Date.now() + 30;
+  while (Date.now() < end);
+  assert.ok(meter() > 0);
+});
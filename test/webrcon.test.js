@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createWebRcon, cleanWebText } = require("../lib/webrcon");
+const { hasWs, startWebRconServer } = require("./fixtures/rcon-servers");
+
+const skip = hasWs ? false : "needs the ws package";
+
+test("cleanWebText drops control characters but keeps newlines", () => {
+  assert.strictEqual(cleanWebText("a\x00b\x1b[0m\tc\nd"), "ab[0m\tc\nd");
+});
+
+test(
+  "sends commands and matches replies by Identifier",
+  { skip },
+  async (t) => {
+    const server = await startWebRconServer({
+      reply: (cmd) => (cmd === "silent" ? null : `echo ${cmd}`),
+    });
+    const rcon = createWebRcon({
+      port: server.port,
+      password: "secret",
+      timeoutMs: 150,
+    });
+    t.after(() => {
+      rcon.close();
+      return server.close();
+    });
+
+    const out = await Promise.all([rcon.send("a"), rcon.send("b")]);
+    assert.deepStrictEqual(out, ["echo a", "echo b"]);
+    await assert.rejects(rcon.send("silent"), (e) => e.code === "RCON_TIMEOUT");
+  },
+);
+
+test("emits broadcasts for Identifier 0 and raw text", { skip }, async (t) => {
+  const server = await startWebRconServer();
+  const rcon = createWebRcon({ port: server.port, password: "secret" });
+  t.after(() => {
+    rcon.close();
+    return server.close();
+  });
+  const seen = [];
+  rcon.on("broadcast", (b) => seen.push(b));
+  await rcon.connect();
+  server.broadcast("Chat", '{"Message":"hi","Username":"Bob"}');
+  for (const ws of server.clients) ws.send("not json");
+  await new Promise((r) => setTimeout(r, 100));
+  assert.deepStrictEqual(seen, [
+    { type: "Chat", message: '{"Message":"hi","Username":"Bob"}' },
+    { type: "Generic", message: "not json" },
+  ]);
+});
+
+test("fails to connect with the wrong password", { skip }, async (t) => {
+  const server = await startWebRconServer({ password: "right" });
+  const rcon = createWebRcon({ port: server.port, password: "wrong" });
+  t.after(() => server.close());
+  // the upgrade succeeds and the server hangs up right after, so this fails
+  // on send or on close depending on timing
+  await assert.rejects(rcon.send("status"));
+});
+
+test("rejects without a WebSocket implementation", async () => {
+  const rcon = createWebRcon({ password: "x", WebSocket: null });
+  await assert.rejects(rcon.connect(), /requires 'ws'/);
+});